@@ -2,3 +2,13 @@
 
 module.exports = require('./lib/MetricCollector');
 module.exports.CloudWatchDriver = require('./lib/CloudWatchDriver');
+module.exports.EmfDriver = require('./lib/EmfDriver');
+module.exports.MemoryDriver = require('./lib/MemoryDriver');
+module.exports.RuntimeMetrics = require('./lib/RuntimeMetrics');
+module.exports.middleware = require('./lib/middleware');
+module.exports.instrumentation = require('./lib/instrumentation');
+module.exports.DiskSpool = require('./lib/DiskSpool');
+module.exports.IpcDriver = require('./lib/IpcDriver');
+module.exports.MetricAggregator = require('./lib/MetricAggregator');
+module.exports.StatsdDriver = require('./lib/StatsdDriver');
+module.exports.StatsdListener = require('./lib/StatsdListener');
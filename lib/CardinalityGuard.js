@@ -0,0 +1,107 @@
+'use strict';
+
+const assert = require('assert');
+
+const DEFAULT_WINDOW = 60 * 60 * 1000;
+const DEFAULT_OVERFLOW_VALUE = '__other__';
+
+const getCombinationKey = dimensions => JSON.stringify(Object.keys(dimensions)
+  .sort()
+  .map(name => [name, dimensions[name]]));
+
+module.exports = class CardinalityGuard {
+
+  constructor(options = {}) {
+    assert(options.limit > 0, 'limit must be a positive number');
+
+    this.limit = options.limit;
+    this.window = options.window || DEFAULT_WINDOW;
+    this.overflowValue = options.overflowValue || DEFAULT_OVERFLOW_VALUE;
+    this.logger = options.logger || console;
+    this._trackers = new Map();
+    this._warned = new Set();
+  }
+
+  _getTracker(name) {
+    if (!this._trackers.has(name)) {
+      this._trackers.set(name, { combinations: new Map(), values: new Map() });
+    }
+    return this._trackers.get(name);
+  }
+
+  // forgets the combinations and values that haven't been seen within the rolling window
+  _prune(tracker, now) {
+    const expiredBefore = now - this.window;
+    tracker.combinations.forEach((lastSeen, key) => {
+      if (lastSeen < expiredBefore) {
+        tracker.combinations.delete(key);
+      }
+    });
+    tracker.values.forEach(values => values.forEach((lastSeen, value) => {
+      if (lastSeen < expiredBefore) {
+        values.delete(value);
+      }
+    }));
+  }
+
+  _track(tracker, dimensions, now) {
+    tracker.combinations.set(getCombinationKey(dimensions), now);
+    Object.keys(dimensions).forEach(name => {
+      if (!tracker.values.has(name)) {
+        tracker.values.set(name, new Map());
+      }
+      tracker.values.get(name).set(dimensions[name], now);
+    });
+  }
+
+  // values that were never part of an accepted combination are the offending ones, when there are none
+  // the dimension with the most distinct values is assumed to be the culprit
+  _rewrite(tracker, dimensions) {
+    const names = Object.keys(dimensions);
+    const isKnown = name => tracker.values.has(name) && tracker.values.get(name).has(dimensions[name]);
+    let offendingNames = names.filter(name => !isKnown(name));
+
+    if (offendingNames.length === 0) {
+      const countValues = name => tracker.values.get(name).size;
+      offendingNames = [names.reduce((culprit, name) => (countValues(name) > countValues(culprit) ? name : culprit))];
+    }
+
+    return names.reduce((acc, name) => Object.assign(acc, {
+      [name]: offendingNames.includes(name) ? this.overflowValue : dimensions[name]
+    }), {});
+  }
+
+  // returns the metric as is, or a copy with its offending dimension values rewritten to the overflow value
+  guard(metricData) {
+    const dimensions = metricData.dimensions || {};
+    if (Object.keys(dimensions).length === 0) {
+      return metricData;
+    }
+
+    const now = Date.now();
+    const tracker = this._getTracker(metricData.name);
+    if (tracker.combinations.has(getCombinationKey(dimensions))) {
+      this._track(tracker, dimensions, now);
+      return metricData;
+    }
+
+    this._prune(tracker, now);
+    if (tracker.combinations.size < this.limit) {
+      this._track(tracker, dimensions, now);
+      return metricData;
+    }
+
+    if (!this._warned.has(metricData.name)) {
+      this._warned.add(metricData.name);
+      if (this.logger.warn) {
+        this.logger.warn({
+          name: metricData.name,
+          dimensions,
+          limit: this.limit
+        }, 'metric exceeded its dimension cardinality limit');
+      }
+    }
+
+    return Object.assign({}, metricData, { dimensions: this._rewrite(tracker, dimensions) });
+  }
+};
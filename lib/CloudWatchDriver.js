@@ -4,79 +4,345 @@ const assert = require('assert');
 const AWS = require('aws-sdk');
 const BPromise = require('bluebird');
 const chunk = require('chunk');
+const EventEmitter = require('events');
 
-const METRIC_COUNT_LIMIT = 20;
-const UNITS = {
-  COUNT: 'Count',
-  MILLIS: 'Milliseconds',
-  NONE: 'None'
+const DiskSpool = require('./DiskSpool');
+const MetricValidator = require('./MetricValidator');
+const { UNITS } = require('./units');
+
+const DEFAULT_MAX_METRICS_PER_REQUEST = 1000;
+const DEFAULT_MAX_REQUEST_SIZE = 1000000;
+const DEFAULT_CONCURRENCY = 1;
+const DISTINCT_VALUES_LIMIT = 150;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 100;
+const DEFAULT_MAX_RETRY_DELAY = 5000;
+const RETRYABLE_ERROR_CODES = [
+  'ExpiredToken',
+  'ExpiredTokenException',
+  'InternalFailure',
+  'InternalServiceError',
+  'NetworkingError',
+  'RequestExpired',
+  'RequestLimitExceeded',
+  'RequestTimeout',
+  'ServiceUnavailable',
+  'Throttling',
+  'ThrottlingException',
+  'TimeoutError'
+];
+const AGGREGATIONS = {
+  STATISTIC_VALUES: 'StatisticValues',
+  VALUES: 'Values'
 };
 
-module.exports = class CloudWatchDriver {
+module.exports = class CloudWatchDriver extends EventEmitter {
 
   constructor(options = {}) {
+    super();
     assert(options.serviceNamespace, 'serviceNamespace is required');
 
     this.serviceNamespace = options.serviceNamespace;
     this.client = options.client || new AWS.CloudWatch({ apiVersion: '2010-08-01' });
     this.logger = options.logger || console;
+    this.aggregation = options.aggregation || AGGREGATIONS.STATISTIC_VALUES;
+    this.maxMetricsPerRequest = options.maxMetricsPerRequest || DEFAULT_MAX_METRICS_PER_REQUEST;
+    this.maxRequestSize = options.maxRequestSize || DEFAULT_MAX_REQUEST_SIZE;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.validator = new MetricValidator({
+      policy: options.validationPolicy,
+      logger: this.logger,
+      onInvalid: options.onInvalid
+    });
+    this.maxRetries = options.maxRetries === undefined ? DEFAULT_MAX_RETRIES : options.maxRetries;
+    this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY;
+    this.spool = !options.spool || options.spool instanceof DiskSpool
+      ? options.spool
+      : new DiskSpool(Object.assign({ logger: this.logger }, options.spool));
+    this._replaying = null;
+    if (this.spool) {
+      this.spool.on('dropped', (rawMetrics, reason) => this._reportDropped(rawMetrics, reason));
+      // metrics spooled before a restart go out even if the process stays idle
+      this._replaySpool();
+    }
+  }
+
+  // metrics the spool drops are reported through the dropped listeners, e.g. the collector
+  _reportDropped(rawMetrics, reason) {
+    if (this.listenerCount('dropped') > 0) {
+      this.emit('dropped', rawMetrics, reason);
+    } else if (this.logger.warn) {
+      this.logger.warn({ count: rawMetrics.length, reason }, 'dropping metrics');
+    }
+  }
+
+  _isRetryableError(err) {
+    return err.retryable === true ||
+      RETRYABLE_ERROR_CODES.includes(err.code) ||
+      err.statusCode === 429 ||
+      err.statusCode >= 500;
+  }
+
+  // "full jitter" backoff: a random delay between 0 and the exponentially growing cap
+  _getRetryDelay(attempt) {
+    return Math.floor(Math.random() * Math.min(this.maxRetryDelay, this.retryDelay * (2 ** attempt)));
+  }
+
+  _putMetricData(metrics, attempt = 0) {
+    return BPromise.resolve(this.client.putMetricData(metrics).promise())
+      .catch(err => {
+        if (attempt >= this.maxRetries || !this._isRetryableError(err)) {
+          throw err;
+        }
+
+        const delay = this._getRetryDelay(attempt);
+        if (this.logger.debug) {
+          this.logger.debug({ err, attempt, delay }, 'retrying to send metrics');
+        }
+        this.emit('retry', {
+          err,
+          attempt,
+          delay,
+          metrics
+        });
+        return BPromise.delay(delay).then(() => this._putMetricData(metrics, attempt + 1));
+      });
+  }
+
+  _getAggregation(rawMetric) {
+    return rawMetric.aggregation || this.aggregation;
+  }
+
+  // CloudWatch accepts a limited number of distinct values per datum, so larger sample sets
+  // are split into several raw metrics that CloudWatch aggregates back together
+  _splitRawMetric(rawMetric) {
+    if (!Array.isArray(rawMetric.value) || this._getAggregation(rawMetric) !== AGGREGATIONS.VALUES) {
+      return [rawMetric];
+    }
+
+    const distinctValues = Array.from(new Set(rawMetric.value));
+    if (distinctValues.length <= DISTINCT_VALUES_LIMIT) {
+      return [rawMetric];
+    }
+
+    return chunk(distinctValues.sort((a, b) => a - b), DISTINCT_VALUES_LIMIT)
+      .map(valuesChunk => {
+        const chunkValues = new Set(valuesChunk);
+        return Object.assign({}, rawMetric, { value: rawMetric.value.filter(value => chunkValues.has(value)) });
+      });
+  }
+
+  _toMetricDatum(rawMetric) {
+    const result = {
+      MetricName: rawMetric.name,
+      Dimensions: Object.keys(rawMetric.dimensions || {})
+        .map(Name => ({ Name, Value: rawMetric.dimensions[Name] }))
+    };
+
+    if (rawMetric.timestamp) {
+      result.Timestamp = rawMetric.timestamp;
+    }
+
+    if (!Array.isArray(rawMetric.value)) {
+      result.Value = rawMetric.value;
+    } else if (this._getAggregation(rawMetric) === AGGREGATIONS.VALUES) {
+      const counts = new Map();
+      rawMetric.value.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+      result.Values = Array.from(counts.keys()).sort((a, b) => a - b);
+      result.Counts = result.Values.map(value => counts.get(value));
+    } else {
+      result.StatisticValues = {
+        Maximum: rawMetric.value.reduce((a, b) => Math.max(a, b)),
+        Minimum: rawMetric.value.reduce((a, b) => Math.min(a, b)),
+        SampleCount: rawMetric.value.length,
+        Sum: rawMetric.value.reduce((a, b) => a + b)
+      };
+    }
+
+    if (rawMetric.unit) {
+      result.Unit = rawMetric.unit;
+    }
+
+    if (rawMetric.storageResolution) {
+      result.StorageResolution = rawMetric.storageResolution;
+    }
+
+    return result;
+  }
+
+  // estimates the size of a value serialized with the query protocol used by PutMetricData
+  _estimateSize(prefix, value) {
+    if (Array.isArray(value)) {
+      return value.reduce((size, item, index) => size + this._estimateSize(`${prefix}.member.${index + 1}`, item), 0);
+    }
+    if (value instanceof Date) {
+      return this._estimateSize(prefix, value.toISOString());
+    }
+    if (value !== null && typeof value === 'object') {
+      return Object.keys(value).reduce((size, key) => size + this._estimateSize(`${prefix}.${key}`, value[key]), 0);
+    }
+    return prefix.length + encodeURIComponent(String(value)).length + 2;
   }
 
+  // packs datums into as few requests as the datum count and request size limits allow
+  _packBatches(namespace, rawMetrics) {
+    const requestSize = this._estimateSize('', { Action: 'PutMetricData', Version: '2010-08-01', Namespace: namespace });
+    const datumPrefix = `MetricData.member.${this.maxMetricsPerRequest}`;
+    const batches = [];
+    let batch;
+
+    rawMetrics.forEach(rawMetric => {
+      const datum = this._toMetricDatum(rawMetric);
+      const datumSize = this._estimateSize(datumPrefix, datum);
+
+      if (!batch ||
+        batch.metricsData.length >= this.maxMetricsPerRequest ||
+        batch.size + datumSize > this.maxRequestSize) {
+        batch = {
+          namespace,
+          metricsBatch: [],
+          metricsData: [],
+          size: requestSize
+        };
+        batches.push(batch);
+      }
+
+      batch.metricsBatch.push(rawMetric);
+      batch.metricsData.push(datum);
+      batch.size += datumSize;
+    });
+
+    return batches;
+  }
+
+  // under the throw policy the valid metrics are sent all the same, the rejection then reports the invalid
+  // ones and leaves nothing to be resent, so that one bad metric doesn't hold back the others
   sendMetrics(rawMetrics) {
-    rawMetrics = [].concat(rawMetrics); // eslint-disable-line no-param-reassign
+    let validationError = null;
 
-    return BPromise.map(
-      chunk(rawMetrics, METRIC_COUNT_LIMIT),
-      metricsBatch => {
-        const metricsData = metricsBatch.map(rawMetric => {
-          const result = {
-            MetricName: rawMetric.name,
-            Dimensions: Object.keys(rawMetric.dimensions || {})
-              .map(Name => ({ Name, Value: rawMetric.dimensions[Name] }))
-          };
+    return BPromise.try(() => {
+      try {
+        return this.validator.validate([].concat(rawMetrics));
+      } catch (err) {
+        if (!err.validMetrics) {
+          throw err;
+        }
+        validationError = err;
+        return err.validMetrics;
+      }
+    })
+      .then(validMetrics => (this.spool ? this._sendSpooled(validMetrics) : this._sendMetrics(validMetrics)))
+      .tap(summary => {
+        if (validationError) {
+          throw Object.assign(validationError, { failedMetrics: [], summary });
+        }
+      });
+  }
 
-          if (rawMetric.timestamp) {
-            result.Timestamp = rawMetric.timestamp;
-          }
+  // with a spool, metrics that can't be delivered are spooled instead of failing the send. spooled metrics
+  // are replayed on startup and after every successful send
+  _sendSpooled(rawMetrics) {
+    return this._sendMetrics(rawMetrics)
+      .tap(() => this._replaySpool())
+      .catch(err => {
+        if (!err.failedMetrics) {
+          throw err;
+        }
 
-          if (Array.isArray(rawMetric.value)) {
-            result.StatisticValues = {
-              Maximum: rawMetric.value.reduce((a, b) => Math.max(a, b)),
-              Minimum: rawMetric.value.reduce((a, b) => Math.min(a, b)),
-              SampleCount: rawMetric.value.length,
-              Sum: rawMetric.value.reduce((a, b) => a + b)
-            };
-          } else {
-            result.Value = rawMetric.value;
-          }
+        return this.spool.append(err.failedMetrics)
+          .then(spooledCount => Object.assign({}, err.summary, { spooledCount }))
+          .catch(spoolErr => {
+            this.logger.error({ err: spoolErr }, 'failed to spool metrics');
+            throw err;
+          });
+      });
+  }
 
-          if (rawMetric.unit) {
-            result.Unit = rawMetric.unit;
+  _replaySpool() {
+    if (!this._replaying) {
+      this._replaying = this.spool.drain()
+        .then(replayedMetrics => replayedMetrics.length > 0 && this._sendMetrics(replayedMetrics))
+        .catch(err => {
+          if (!err.failedMetrics) {
+            throw err;
           }
-
-          return result;
+          return this.spool.append(err.failedMetrics);
+        })
+        .catch(err => this.logger.error({ err }, 'failed to replay spooled metrics'))
+        .finally(() => {
+          this._replaying = null;
         });
+    }
+    return this._replaying;
+  }
+
+  _sendMetrics(rawMetrics) {
+    rawMetrics = rawMetrics // eslint-disable-line no-param-reassign
+      .reduce((acc, rawMetric) => acc.concat(this._splitRawMetric(rawMetric)), []);
+
+    const namespaces = new Map();
+    rawMetrics.forEach(rawMetric => {
+      const namespace = rawMetric.namespace || this.serviceNamespace;
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, []);
+      }
+      namespaces.get(namespace).push(rawMetric);
+    });
 
+    const batches = [];
+    namespaces.forEach((namespaceMetrics, namespace) => {
+      this._packBatches(namespace, namespaceMetrics)
+        .forEach(batch => batches.push(batch));
+    });
+
+    const failures = [];
+    return BPromise.map(
+      batches,
+      ({ namespace, metricsBatch, metricsData }) => {
         const metrics = {
-          Namespace: this.serviceNamespace,
+          Namespace: namespace,
           MetricData: metricsData
         };
 
         if (this.logger.debug) {
           this.logger.debug({ metrics }, 'sending metrics');
         }
-        return this.client
-          .putMetricData(metrics)
-          .promise()
+        return this._putMetricData(metrics)
+          .then(() => {
+            this.emit('batch', { metrics, rawMetrics: metricsBatch });
+            return metricsData.length;
+          })
           .catch(err => {
-            this.logger.error({ err, metrics }, 'failed to send metrics');
-            err._logged = true; // eslint-disable-line no-param-reassign
-            throw err;
+            this.emit('failed', err, { metrics, rawMetrics: metricsBatch });
+            failures.push({ err, metricsBatch });
+            return 0;
           });
       },
-      { concurrency: 1 }
-    );
+      { concurrency: this.concurrency }
+    )
+      .then(datumCounts => {
+        if (failures.length === 0) {
+          return {
+            batchCount: batches.length,
+            datumCount: datumCounts.reduce((a, b) => a + b, 0)
+          };
+        }
+
+        // the first error is rethrown, carrying every raw metric that could not be delivered
+        // so that the caller can buffer them for another attempt
+        const { err } = failures[0];
+        err.failedMetrics = failures.reduce((acc, failure) => acc.concat(failure.metricsBatch), []);
+        err.summary = {
+          batchCount: batches.length - failures.length,
+          datumCount: datumCounts.reduce((a, b) => a + b, 0)
+        };
+        throw err;
+      });
   }
 };
 
+module.exports.AGGREGATIONS = AGGREGATIONS;
+module.exports.VALIDATION_POLICIES = MetricValidator.POLICIES;
 module.exports.UNITS = UNITS;
@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const EventEmitter = require('events');
+const fs = require('fs');
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const MAX_TIMESTAMP_AGE = 14 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_AGE = MAX_TIMESTAMP_AGE;
+
+const ignoreMissing = err => {
+  if (err.code !== 'ENOENT') {
+    throw err;
+  }
+};
+
+// keeps raw metrics in a newline-delimited JSON file until they can be delivered
+module.exports = class DiskSpool extends EventEmitter {
+
+  constructor(options = {}) {
+    super();
+    assert(options.path, 'path is required');
+
+    this.path = options.path;
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    this.maxAge = Math.min(options.maxAge || DEFAULT_MAX_AGE, MAX_TIMESTAMP_AGE);
+    this.logger = options.logger || console;
+    // drained metrics remember when they were first spooled, so that spooling them again doesn't
+    // reset their age
+    this._spooledAt = new WeakMap();
+  }
+
+  // dropped metrics go to the dropped listeners when there are any, and to the logger otherwise
+  _drop(rawMetrics, reason, message) {
+    if (this.listenerCount('dropped') > 0) {
+      this.emit('dropped', rawMetrics, reason);
+    } else if (this.logger.warn) {
+      this.logger.warn({ count: rawMetrics.length, path: this.path, reason }, message);
+    }
+  }
+
+  _getSize() {
+    return BPromise.fromCallback(callback => fs.stat(this.path, callback))
+      .then(stats => stats.size)
+      .catch(err => {
+        ignoreMissing(err);
+        return 0;
+      });
+  }
+
+  // metrics which would take the spool past maxSize are dropped, the spool keeps the oldest ones
+  append(rawMetrics) {
+    const now = Date.now();
+    const metrics = [].concat(rawMetrics);
+    const data = metrics
+      .map(metric => `${JSON.stringify({ spooledAt: this._spooledAt.get(metric) || now, metric })}\n`)
+      .join('');
+    if (data.length === 0) {
+      return BPromise.resolve(0);
+    }
+
+    return this._getSize()
+      .then(size => {
+        if (size + Buffer.byteLength(data) > this.maxSize) {
+          this._drop(metrics, 'maxSpoolSize', 'spool is full, dropping metrics');
+          return 0;
+        }
+
+        return BPromise.fromCallback(callback => fs.appendFile(this.path, data, callback))
+          .then(() => metrics.length);
+      });
+  }
+
+  _readLines(path) {
+    return BPromise.fromCallback(callback => fs.readFile(path, 'utf8', callback))
+      .then(data => {
+        const entries = [];
+        data.split('\n').filter(Boolean).forEach(line => {
+          try {
+            entries.push(JSON.parse(line));
+          } catch (err) {
+            // a crash in the middle of an append leaves a partial line behind
+          }
+        });
+        return entries;
+      })
+      .catch(err => {
+        ignoreMissing(err);
+        return [];
+      });
+  }
+
+  // the spool is moved aside before being read, so metrics appended meanwhile aren't lost, and a replay
+  // file left over by a crash is picked up by the next drain
+  drain() {
+    const replayPath = `${this.path}.replay`;
+
+    return this._readLines(replayPath)
+      .then(leftoverEntries => BPromise.fromCallback(callback => fs.rename(this.path, replayPath, callback))
+        .then(() => this._readLines(replayPath), err => {
+          ignoreMissing(err);
+          return [];
+        })
+        .then(entries => leftoverEntries.concat(entries)))
+      .tap(() => BPromise.fromCallback(callback => fs.unlink(replayPath, callback)).catch(ignoreMissing))
+      .then(entries => {
+        const now = Date.now();
+        const isFresh = entry => now - entry.spooledAt <= this.maxAge &&
+          (!entry.metric.timestamp || now - new Date(entry.metric.timestamp).getTime() <= MAX_TIMESTAMP_AGE);
+        const freshMetrics = [];
+        const expiredMetrics = [];
+
+        entries.forEach(entry => {
+          const metric = Object.assign({}, entry.metric, entry.metric.timestamp
+            ? { timestamp: new Date(entry.metric.timestamp) }
+            : {});
+          if (isFresh(entry)) {
+            this._spooledAt.set(metric, entry.spooledAt);
+            freshMetrics.push(metric);
+          } else {
+            expiredMetrics.push(metric);
+          }
+        });
+
+        if (expiredMetrics.length > 0) {
+          this._drop(expiredMetrics, 'maxSpoolAge', 'dropping expired metrics');
+        }
+        return freshMetrics;
+      });
+  }
+};
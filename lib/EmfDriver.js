@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const chunk = require('chunk');
+
+const METRIC_COUNT_LIMIT = 100;
+const VALUES_LIMIT = 100;
+
+module.exports = class EmfDriver {
+
+  constructor(options = {}) {
+    assert(options.serviceNamespace, 'serviceNamespace is required');
+
+    this.serviceNamespace = options.serviceNamespace;
+    this.stream = options.stream || process.stdout;
+    this.properties = options.properties || {};
+    this.logger = options.logger || console;
+  }
+
+  _getTimestamp(rawMetric) {
+    return rawMetric.timestamp ? new Date(rawMetric.timestamp).getTime() : Date.now();
+  }
+
+  _getGroupKey(rawMetric) {
+    const dimensions = rawMetric.dimensions || {};
+    const dimensionPairs = Object.keys(dimensions)
+      .sort()
+      .map(name => [name, dimensions[name]]);
+    return JSON.stringify([rawMetric.namespace || null, this._getTimestamp(rawMetric), dimensionPairs]);
+  }
+
+  _createDocument(rawMetric) {
+    const dimensions = rawMetric.dimensions || {};
+    return Object.assign(
+      {
+        _aws: {
+          Timestamp: this._getTimestamp(rawMetric),
+          CloudWatchMetrics: [{
+            Namespace: rawMetric.namespace || this.serviceNamespace,
+            Dimensions: [Object.keys(dimensions)],
+            Metrics: []
+          }]
+        }
+      },
+      this.properties,
+      dimensions
+    );
+  }
+
+  // a document can hold up to 100 metrics and every metric name only once, so metrics
+  // with more than 100 values (or sharing a name) spill over into additional documents
+  _createDocuments(rawMetrics) {
+    const documents = [];
+
+    rawMetrics.forEach(rawMetric => {
+      const valueChunks = Array.isArray(rawMetric.value)
+        ? chunk(rawMetric.value, VALUES_LIMIT)
+        : [rawMetric.value];
+
+      valueChunks.forEach(value => {
+        let document = documents.find(doc => {
+          const { Metrics } = doc._aws.CloudWatchMetrics[0];
+          return Metrics.length < METRIC_COUNT_LIMIT && !Metrics.some(metric => metric.Name === rawMetric.name);
+        });
+        if (!document) {
+          document = this._createDocument(rawMetric);
+          documents.push(document);
+        }
+
+        const metricDefinition = { Name: rawMetric.name };
+        if (rawMetric.unit) {
+          metricDefinition.Unit = rawMetric.unit;
+        }
+        if (rawMetric.storageResolution) {
+          metricDefinition.StorageResolution = rawMetric.storageResolution;
+        }
+        document._aws.CloudWatchMetrics[0].Metrics.push(metricDefinition);
+        document[rawMetric.name] = value;
+      });
+    });
+
+    return documents;
+  }
+
+  sendMetrics(rawMetrics) {
+    const groups = new Map();
+    [].concat(rawMetrics).forEach(rawMetric => {
+      const key = this._getGroupKey(rawMetric);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(rawMetric);
+    });
+
+    const lines = Array.from(groups.values())
+      .reduce((acc, group) => acc.concat(this._createDocuments(group)), [])
+      .map(document => `${JSON.stringify(document)}\n`);
+
+    if (this.logger.debug) {
+      this.logger.debug({ documentCount: lines.length }, 'writing metrics');
+    }
+    return BPromise.fromCallback(callback => this.stream.write(lines.join(''), callback))
+      .then(() => ({
+        batchCount: lines.length,
+        datumCount: [].concat(rawMetrics).length
+      }));
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const MESSAGE_TYPE = 'metricologist:metrics';
+
+// a cluster worker talks to the primary through process.send, a worker thread through a MessagePort
+const isProcessChannel = channel => typeof channel.send === 'function';
+
+// forwards the metrics of a worker to the MetricAggregator of its primary, which flushes for every worker,
+// and sends them with the fallback driver once the primary can't be reached anymore
+module.exports = class IpcDriver {
+
+  constructor(options = {}) {
+    const channel = options.channel || process;
+    assert(
+      typeof channel.send === 'function' || typeof channel.postMessage === 'function',
+      'channel must implement send or postMessage'
+    );
+    assert(
+      !options.fallback || typeof options.fallback.sendMetrics === 'function',
+      'fallback must implement sendMetrics'
+    );
+
+    this.channel = channel;
+    this.fallback = options.fallback || null;
+    this.logger = options.logger || console;
+    this._closed = false;
+    this._warnedFallback = false;
+
+    // MessagePorts don't tell when they are closed other than through this event
+    if (!isProcessChannel(channel) && typeof channel.once === 'function') {
+      channel.once('close', () => {
+        this._closed = true;
+      });
+    }
+  }
+
+  _isConnected() {
+    return !this._closed && (!isProcessChannel(this.channel) || this.channel.connected !== false);
+  }
+
+  _post(message) {
+    if (!isProcessChannel(this.channel)) {
+      return BPromise.try(() => this.channel.postMessage(message));
+    }
+
+    return new BPromise((resolve, reject) => {
+      this.channel.send(message, err => (err ? reject(err) : resolve()));
+    });
+  }
+
+  _sendToFallback(rawMetrics) {
+    if (!this.fallback) {
+      return BPromise.reject(new Error('primary process is not reachable'));
+    }
+
+    if (!this._warnedFallback) {
+      this._warnedFallback = true;
+      if (this.logger.warn) {
+        this.logger.warn({ count: rawMetrics.length }, 'primary process is not reachable, sending metrics locally');
+      }
+    }
+    return BPromise.try(() => this.fallback.sendMetrics(rawMetrics));
+  }
+
+  sendMetrics(rawMetrics) {
+    const metrics = [].concat(rawMetrics);
+    if (!this._isConnected()) {
+      return this._sendToFallback(metrics);
+    }
+
+    return this._post({ type: MESSAGE_TYPE, metrics })
+      .then(() => ({ batchCount: 1, datumCount: metrics.length }))
+      .catch(err => {
+        this._closed = true;
+        this.logger.error({ err }, 'failed to forward metrics to the primary process');
+        return this._sendToFallback(metrics);
+      });
+  }
+};
+
+module.exports.MESSAGE_TYPE = MESSAGE_TYPE;
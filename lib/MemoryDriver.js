@@ -0,0 +1,56 @@
+'use strict';
+
+const BPromise = require('bluebird');
+
+// keeps every metric it is sent in memory, so instrumentation can be asserted on in tests
+module.exports = class MemoryDriver {
+
+  constructor() {
+    this.metrics = [];
+  }
+
+  _record(rawMetrics) {
+    rawMetrics.forEach(rawMetric => this.metrics.push(Object.assign({}, rawMetric, {
+      dimensions: Object.assign({}, rawMetric.dimensions),
+      value: Array.isArray(rawMetric.value) ? rawMetric.value.slice() : rawMetric.value
+    })));
+  }
+
+  sendMetrics(rawMetrics) {
+    return BPromise.try(() => {
+      this._record([].concat(rawMetrics));
+      return { batchCount: 1, datumCount: [].concat(rawMetrics).length };
+    });
+  }
+
+  // moves whatever the collector has buffered into this driver right away, skipping the collector's drivers
+  flushSync(collector) {
+    this._record(collector.getMetrics());
+    collector.clearMetrics();
+    return this;
+  }
+
+  // metrics match when they have the name and every given dimension, other dimensions are ignored
+  find(name, dimensions = {}) {
+    return this.metrics.filter(rawMetric => rawMetric.name === name &&
+      Object.keys(dimensions).every(dimension => rawMetric.dimensions[dimension] === dimensions[dimension]));
+  }
+
+  values(name, dimensions = {}) {
+    return this.find(name, dimensions)
+      .reduce((acc, rawMetric) => acc.concat(rawMetric.value), []);
+  }
+
+  sum(name, dimensions = {}) {
+    return this.values(name, dimensions).reduce((a, b) => a + b, 0);
+  }
+
+  count(name, dimensions = {}) {
+    return this.values(name, dimensions).length;
+  }
+
+  reset() {
+    this.metrics = [];
+    return this;
+  }
+};
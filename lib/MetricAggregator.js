@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('assert');
+
+const { MESSAGE_TYPE } = require('./IpcDriver');
+
+// cluster workers and worker threads emit exit, MessagePorts emit close
+const DETACH_EVENTS = ['exit', 'close'];
+
+// merges the metrics forwarded by the IpcDriver of workers into the collector of the primary, so that
+// they are flushed once for all workers
+module.exports = class MetricAggregator {
+
+  constructor(collector, options = {}) {
+    assert(collector && typeof collector.mergeMetrics === 'function', 'collector must implement mergeMetrics');
+
+    this.collector = collector;
+    this.logger = options.logger || collector.logger || console;
+    this._listeners = new Map();
+  }
+
+  _onMessage(message) {
+    if (!message || message.type !== MESSAGE_TYPE) {
+      return;
+    }
+
+    try {
+      this.collector.mergeMetrics(message.metrics);
+    } catch (err) {
+      if (this.logger.warn) {
+        this.logger.warn({ err }, 'ignoring invalid metrics forwarded by a worker');
+      }
+    }
+  }
+
+  // takes a cluster worker, a worker thread or a MessagePort
+  attach(channel) {
+    assert(channel && typeof channel.on === 'function', 'channel must implement on');
+    if (this._listeners.has(channel)) {
+      return this;
+    }
+
+    const listeners = {
+      message: this._onMessage.bind(this),
+      detach: () => this.detach(channel)
+    };
+    this._listeners.set(channel, listeners);
+    channel.on('message', listeners.message);
+    DETACH_EVENTS.forEach(event => channel.on(event, listeners.detach));
+    return this;
+  }
+
+  detach(channel) {
+    const listeners = this._listeners.get(channel);
+    if (!listeners) {
+      return this;
+    }
+
+    this._listeners.delete(channel);
+    channel.removeListener('message', listeners.message);
+    DETACH_EVENTS.forEach(event => channel.removeListener(event, listeners.detach));
+    return this;
+  }
+
+  // attaches the current workers of the cluster and those it forks later, returns a function to stop attaching
+  attachCluster(cluster) {
+    assert(cluster && typeof cluster.on === 'function', 'cluster must implement on');
+
+    const onFork = worker => this.attach(worker);
+    Object.keys(cluster.workers || {}).forEach(id => this.attach(cluster.workers[id]));
+    cluster.on('fork', onFork);
+    return () => cluster.removeListener('fork', onFork);
+  }
+};
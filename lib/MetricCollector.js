@@ -2,79 +2,845 @@
 
 const assert = require('assert');
 const BPromise = require('bluebird');
+const EventEmitter = require('events');
 
+const CardinalityGuard = require('./CardinalityGuard');
 const CloudWatchDriver = require('./CloudWatchDriver');
+const RuntimeMetrics = require('./RuntimeMetrics');
+const units = require('./units');
+
+const { AGGREGATIONS } = CloudWatchDriver;
+const { INPUT_UNITS, UNITS } = units;
 
 const DEFAULT_FLUSH_FREQUENCY = 20000;
+const DEFAULT_MAX_BUFFER_SIZE = 10000;
+const DEFAULT_MAX_BUFFER_AGE = 600000;
+const DEFAULT_MAX_SERIES = 10000;
+const DEFAULT_MAX_SAMPLES_PER_SERIES = 10000;
+const HIGH_RESOLUTION = 1;
+const STORAGE_RESOLUTIONS = [HIGH_RESOLUTION, 60];
+const DEFAULT_HIGH_RESOLUTION_PERIOD = 1000;
+const HIGH_RESOLUTION_PERIODS = [1000, 5000, 10000, 30000];
+const DEFAULT_AGGREGATION_PERIOD = 60000;
+const DEFAULT_EXIT_TIMEOUT = 5000;
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+const DEFAULT_SELF_METRICS_NAMESPACE = 'Metricologist';
+const THROTTLING_ERROR_CODES = ['RequestLimitExceeded', 'Throttling', 'ThrottlingException'];
+const MAX_TIMESTAMP_AGE = 14 * 24 * 60 * 60 * 1000;
+const MAX_TIMESTAMP_LEAD = 2 * 60 * 60 * 1000;
+const TIMESTAMP_POLICIES = {
+  CLAMP: 'clamp',
+  REJECT: 'reject'
+};
+const METRIC_TYPES = {
+  COUNTER: 'counter',
+  GAUGE: 'gauge',
+  HISTOGRAM: 'histogram',
+  TIMER: 'timer'
+};
+const OVERFLOW_POLICIES = {
+  DROP_NEW: 'dropNew',
+  DROP_OLDEST: 'dropOldest',
+  RESERVOIR: 'reservoir'
+};
+const OUTCOMES = {
+  FAILURE: 'Failure',
+  SUCCESS: 'Success'
+};
+
+const isScalarType = type => type === METRIC_TYPES.COUNTER || type === METRIC_TYPES.GAUGE;
+const getSampleCount = metricData => (Array.isArray(metricData.value) ? metricData.value.length : 1);
+
+// a lightweight view of a collector that prefixes names and adds dimensions to every metric,
+// sharing the buffer, flush timer and drivers of the collector it was created from
+class ScopedCollector {
+  constructor(parent, options) {
+    this._parent = parent;
+    this.dimensions = options.dimensions || {};
+    this.namePrefix = options.namePrefix || '';
+    this.dimensionSets = options.dimensionSets;
+  }
+
+  addMetrics(metricsData) {
+    assert(metricsData, 'missing metricsData');
+
+    this._parent.addMetrics([].concat(metricsData).map(metricData => Object.assign({}, metricData, {
+      name: `${this.namePrefix}${metricData.name}`,
+      dimensions: Object.assign({}, this.dimensions, metricData.dimensions),
+      dimensionSets: metricData.dimensionSets || this.dimensionSets
+    })));
+
+    return this;
+  }
+
+  child(options = {}) {
+    return new ScopedCollector(this, options);
+  }
+
+  flush() {
+    return this._parent.flush();
+  }
+}
 
-module.exports = class MetricCollector {
+class MetricCollector extends EventEmitter {
   constructor(options = {}) {
-    assert(options.serviceNamespace, 'missing options.serviceNamespace');
+    super();
+    assert(options.driver || options.serviceNamespace, 'missing options.serviceNamespace');
+    assert(
+      !options.highResolutionPeriod || HIGH_RESOLUTION_PERIODS.includes(options.highResolutionPeriod),
+      `highResolutionPeriod must be one of ${HIGH_RESOLUTION_PERIODS.join(', ')}`
+    );
+    assert(
+      !options.aggregationPeriod || options.aggregationPeriod % DEFAULT_AGGREGATION_PERIOD === 0,
+      'aggregationPeriod must be a multiple of 60000'
+    );
+    assert(
+      !options.overflowPolicy ||
+        Object.keys(OVERFLOW_POLICIES).some(policy => OVERFLOW_POLICIES[policy] === options.overflowPolicy),
+      `unknown overflow policy ${options.overflowPolicy}`
+    );
 
-    const { client, logger, serviceNamespace } = options;
-    this.cloudwatchDriver = new CloudWatchDriver({ client, logger, serviceNamespace });
+    const {
+      aggregation,
+      client,
+      concurrency,
+      logger,
+      maxMetricsPerRequest,
+      maxRequestSize,
+      onInvalid,
+      serviceNamespace,
+      spool,
+      validationPolicy
+    } = options;
+    this.drivers = [].concat(options.driver || new CloudWatchDriver({
+      aggregation,
+      client,
+      concurrency,
+      logger,
+      maxMetricsPerRequest,
+      maxRequestSize,
+      onInvalid,
+      serviceNamespace,
+      spool,
+      validationPolicy
+    }));
+    this.drivers.forEach(driver => {
+      assert(driver && typeof driver.sendMetrics === 'function', 'driver must implement sendMetrics');
+    });
+    this.drivers
+      .filter(driver => typeof driver.on === 'function')
+      .forEach(driver => driver.on('dropped', (metricsData, reason) => this._dropMetrics(metricsData, reason)));
+    this.logger = logger || console;
     this.auto = options.auto || false;
     this.flushFrequency = options.flushFrequency || DEFAULT_FLUSH_FREQUENCY;
+    this.maxBufferSize = options.maxBufferSize || DEFAULT_MAX_BUFFER_SIZE;
+    this.maxBufferAge = options.maxBufferAge || DEFAULT_MAX_BUFFER_AGE;
+    this.onDropped = options.onDropped;
+    this.maxSeries = options.maxSeries || DEFAULT_MAX_SERIES;
+    this.maxSamplesPerSeries = options.maxSamplesPerSeries || DEFAULT_MAX_SAMPLES_PER_SERIES;
+    this.overflowPolicy = options.overflowPolicy || OVERFLOW_POLICIES.DROP_NEW;
+    this.aggregationPeriod = options.aggregationPeriod || DEFAULT_AGGREGATION_PERIOD;
+    this.highResolutionPeriod = options.highResolutionPeriod || DEFAULT_HIGH_RESOLUTION_PERIOD;
+    this.timestampPolicy = options.timestampPolicy || TIMESTAMP_POLICIES.REJECT;
+    this.defaultDimensions = options.defaultDimensions || {};
+    this.dimensionSets = options.dimensionSets;
+    this.units = options.units || {};
+    this.cardinalityGuard = options.maxCardinality
+      ? new CardinalityGuard({
+        limit: options.maxCardinality,
+        window: options.cardinalityWindow,
+        overflowValue: options.cardinalityOverflowValue,
+        logger: this.logger
+      })
+      : null;
     this._metrics = new Map();
+    this._seriesUnits = new Map();
+    this._backlogs = new Map();
+    this._seenSamples = new Map();
+    this._droppedSamples = {};
+    this._flushing = null;
+    this._nextFlush = null;
     this._stopped = !this.auto;
+    this.handleExit = options.handleExit || false;
+    this.exitTimeout = options.exitTimeout || DEFAULT_EXIT_TIMEOUT;
+    this.selfMetrics = options.selfMetrics
+      ? Object.assign({
+        namespace: DEFAULT_SELF_METRICS_NAMESPACE,
+        dimensions: serviceNamespace ? { ServiceNamespace: serviceNamespace } : {}
+      }, options.selfMetrics === true ? {} : options.selfMetrics)
+      : null;
 
+    if (this.selfMetrics) {
+      this._setupSelfMetrics();
+    }
+    if (this.handleExit) {
+      this._registerExitHandlers();
+    }
     if (this.auto) {
       this._setupFlushTimer();
     }
+    if (options.runtimeMetrics) {
+      this.runtimeMetrics = new RuntimeMetrics(this, options.runtimeMetrics === true ? {} : options.runtimeMetrics)
+        .start();
+    }
+  }
+
+  // kept for consumers of the driver the collector used to create itself, the first CloudWatch driver if any
+  get cloudwatchDriver() {
+    return this.drivers.find(driver => driver instanceof CloudWatchDriver);
+  }
+
+  _setupSelfMetrics() {
+    const isThrottle = err => THROTTLING_ERROR_CODES.includes(err.code) || err.statusCode === 429;
+    this._selfCounters = { droppedSamples: 0, failedSends: 0, throttles: 0 };
+
+    this.on('dropped', metricsData => {
+      this._selfCounters.droppedSamples += metricsData
+        .filter(metricData => !this._isSelfMetric(metricData))
+        .reduce((count, metricData) => count + getSampleCount(metricData), 0);
+    });
+    // requests of self metrics are left out, so that they neither inflate their own counts nor keep recording
+    // self metrics while sending them fails
+    const isSelfRequest = metrics => Boolean(metrics) && metrics.Namespace === this.selfMetrics.namespace;
+    this.drivers
+      .filter(driver => typeof driver.on === 'function')
+      .forEach(driver => driver
+        .on('retry', ({ err, metrics }) => {
+          if (!isSelfRequest(metrics)) {
+            this._selfCounters.throttles += isThrottle(err) ? 1 : 0;
+          }
+        })
+        .on('failed', (err, { metrics } = {}) => {
+          if (!isSelfRequest(metrics)) {
+            this._selfCounters.failedSends += 1;
+            this._selfCounters.throttles += isThrottle(err) ? 1 : 0;
+          }
+        }));
+  }
+
+  _isSelfMetric(metricData) {
+    return Boolean(this.selfMetrics) && metricData.namespace === this.selfMetrics.namespace;
+  }
+
+  // self metrics are buffered for the next flush, but a flush of nothing but self metrics doesn't record
+  // any more of them, so they never keep the collector busy on their own
+  _recordSelfMetrics(metricsData, duration) {
+    const { droppedSamples, failedSends, throttles } = this._selfCounters;
+    const serviceMetrics = metricsData.filter(metricData => !this._isSelfMetric(metricData));
+    if (serviceMetrics.length === 0 && failedSends === 0 && droppedSamples === 0 && throttles === 0) {
+      return;
+    }
+
+    this._selfCounters = { droppedSamples: 0, failedSends: 0, throttles: 0 };
+    const { namespace, dimensions } = this.selfMetrics;
+    const createMetric = (name, type, unit, value) => ({
+      name,
+      namespace,
+      dimensions,
+      dimensionSets: [Object.keys(dimensions)],
+      type,
+      unit,
+      value
+    });
+
+    this.addMetrics([
+      createMetric('SeriesCount', METRIC_TYPES.HISTOGRAM, UNITS.COUNT, serviceMetrics.length),
+      createMetric(
+        'BufferedSamples',
+        METRIC_TYPES.HISTOGRAM,
+        UNITS.COUNT,
+        serviceMetrics.reduce((count, metricData) => count + getSampleCount(metricData), 0)
+      ),
+      createMetric('FlushDuration', METRIC_TYPES.TIMER, UNITS.MILLIS, duration),
+      createMetric('FailedSends', METRIC_TYPES.COUNTER, UNITS.COUNT, failedSends),
+      createMetric('Throttles', METRIC_TYPES.COUNTER, UNITS.COUNT, throttles),
+      createMetric('DroppedSamples', METRIC_TYPES.COUNTER, UNITS.COUNT, droppedSamples)
+    ]);
+  }
+
+  _registerExitHandlers() {
+    this._exitHandlers = { beforeExit: this._onBeforeExit.bind(this) };
+    EXIT_SIGNALS.forEach(signal => {
+      this._exitHandlers[signal] = this._onSignal.bind(this, signal);
+    });
+    Object.keys(this._exitHandlers).forEach(event => process.on(event, this._exitHandlers[event]));
+  }
+
+  _removeExitHandlers() {
+    if (!this._exitHandlers) {
+      return;
+    }
+
+    Object.keys(this._exitHandlers).forEach(event => process.removeListener(event, this._exitHandlers[event]));
+    this._exitHandlers = null;
+  }
+
+  // flushes whatever is buffered, giving up after exitTimeout so that shutdown never hangs on a slow backend
+  _flushBeforeExit() {
+    this._removeExitHandlers();
+    return (this._stopped ? this.flush() : this.stop())
+      .timeout(this.exitTimeout)
+      .catch(BPromise.TimeoutError, err => this._reportError(err, {}, 'failed to flush metrics before exit'))
+      .catch(() => {});
+  }
+
+  // beforeExit is emitted every time the event loop drains, so only buffered data warrants another flush
+  _onBeforeExit() {
+    if (this._metrics.size === 0 && this._backlogs.size === 0) {
+      return BPromise.resolve();
+    }
+
+    return this._flushBeforeExit();
+  }
+
+  // our listener replaces the default signal behaviour, so the signal is raised again once flushed, unless
+  // the app listens for it as well and so takes care of shutting down itself
+  _onSignal(signal) {
+    return this._flushBeforeExit()
+      .then(() => {
+        if (process.listenerCount(signal) === 0) {
+          process.kill(process.pid, signal);
+        }
+      });
   }
 
   _setupFlushTimer() {
     clearTimeout(this._flushTimer);
     this._flushTimer = setTimeout(
-      this.flush.bind(this),
+      this._autoFlush.bind(this),
       this.flushFrequency
     );
+
+    // with exit handlers in place, a pending flush must not keep the process alive on its own
+    if (this.handleExit && this._flushTimer.unref) {
+      this._flushTimer.unref();
+    }
+  }
+
+  // failed sends are reported as they happen, so there is nothing left to do with the rejection
+  _autoFlush() {
+    return BPromise.try(() => this.flush())
+      .catch(() => {});
+  }
+
+  // errors go to the error listeners when there are any, and to the logger otherwise
+  _reportError(err, details, message) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', err, details);
+    } else {
+      this.logger.error({ err }, message);
+    }
+  }
+
+  _getSeriesKey(metricData) {
+    const dimensions = metricData.dimensions || {};
+    return JSON.stringify([
+      metricData.namespace || null,
+      metricData.name,
+      Object.keys(dimensions).sort().map(name => [name, dimensions[name]])
+    ]);
   }
 
   _getMetricKey(metricData) {
-    const metricDimensionsNamespace = Object.keys(metricData.dimensions)
-      .map(d => metricData.dimensions[d])
-      .join(':');
-    return `${metricData.name}:${metricDimensionsNamespace}`;
+    return JSON.stringify([
+      this._getSeriesKey(metricData),
+      metricData.unit || null,
+      metricData.storageResolution || null,
+      metricData.type || null,
+      metricData.timestamp ? new Date(metricData.timestamp).getTime() : null
+    ]);
   }
 
-  addMetrics(metricsData) {
-    assert(metricsData, 'missing metricsData');
+  // the first seen unit of a series outlives flushes, so that every flush publishes the series in the same
+  // unit. the least recently added series are forgotten once maxSeries are remembered
+  _checkSeriesUnit(metricData) {
+    const seriesKey = this._getSeriesKey(metricData);
+    const unit = metricData.unit || null;
+
+    if (!this._seriesUnits.has(seriesKey)) {
+      if (this._seriesUnits.size >= this.maxSeries) {
+        this._seriesUnits.delete(this._seriesUnits.keys().next().value);
+      }
+      this._seriesUnits.set(seriesKey, unit);
+    } else if (this._seriesUnits.get(seriesKey) !== unit && this.logger.warn) {
+      this.logger.warn({
+        name: metricData.name,
+        dimensions: metricData.dimensions,
+        unit,
+        firstSeenUnit: this._seriesUnits.get(seriesKey)
+      }, 'metric unit does not match the first seen unit of the series');
+    }
+  }
+
+  // values are converted to the declared unit of their metric or, failing that, to the first seen unit of
+  // their series, so that samples recorded in different units of the same family aggregate together
+  _normalizeUnit(metricData) {
+    const { unit } = metricData;
+    if (!unit) {
+      return metricData;
+    }
+
+    const seriesUnit = this.units[metricData.name] || this._seriesUnits.get(this._getSeriesKey(metricData));
+    const targetUnit = units.getPublishedUnit(seriesUnit && units.canConvert(unit, seriesUnit) ? seriesUnit : unit);
+    if (targetUnit === unit || !units.canConvert(unit, targetUnit)) {
+      return metricData;
+    }
+
+    return Object.assign({}, metricData, {
+      unit: targetUnit,
+      value: units.convert(metricData.value, unit, targetUnit)
+    });
+  }
+
+  // counters are summed up and gauges keep their latest value, all other metrics collect samples
+  _mergeValues(metric, value) {
+    switch (metric.type) {
+      case METRIC_TYPES.COUNTER:
+        return metric.value + value;
+      case METRIC_TYPES.GAUGE:
+        return value;
+      default:
+        return metric.value.concat(value);
+    }
+  }
+
+  // a full buffer is flushed right away, overflow policies only kick in while that flush is in flight
+  _bufferMetric(key, metric) {
+    const existing = this._metrics.get(key);
+
+    if (!existing) {
+      if (this._metrics.size >= this.maxSeries) {
+        this._overflowSeries(key, metric);
+      } else {
+        this._metrics.set(key, metric);
+      }
+    } else if (!isScalarType(existing.type) && existing.value.length >= this.maxSamplesPerSeries) {
+      this._overflowSamples(key, existing, metric.value);
+    } else {
+      existing.value = this._mergeValues(existing, metric.value);
+    }
+
+    const buffered = this._metrics.get(key);
+    if (this._metrics.size >= this.maxSeries ||
+      (buffered && !isScalarType(buffered.type) && buffered.value.length >= this.maxSamplesPerSeries)) {
+      this._flushEarly();
+    }
+  }
+
+  // reservoir sampling only applies to the samples of a series, so new series are dropped under that policy
+  _overflowSeries(key, metric) {
+    if (this.overflowPolicy !== OVERFLOW_POLICIES.DROP_OLDEST) {
+      this._countDropped([metric], 'maxSeries');
+      return;
+    }
+
+    const [oldestKey, oldest] = this._metrics.entries().next().value;
+    this._metrics.delete(oldestKey);
+    this._seenSamples.delete(oldestKey);
+    this._countDropped([oldest], 'maxSeries');
+    this._metrics.set(key, metric);
+  }
+
+  _overflowSamples(key, existing, values) {
+    values.forEach(value => {
+      let droppedValue = value;
+      if (this.overflowPolicy === OVERFLOW_POLICIES.DROP_OLDEST) {
+        [droppedValue] = existing.value;
+        existing.value = existing.value.slice(1).concat(value); // eslint-disable-line no-param-reassign
+      } else if (this.overflowPolicy === OVERFLOW_POLICIES.RESERVOIR) {
+        // every sample seen so far has the same chance to be kept
+        const seen = (this._seenSamples.get(key) || existing.value.length) + 1;
+        const index = Math.floor(Math.random() * seen);
+        this._seenSamples.set(key, seen);
+        if (index < existing.value.length) {
+          droppedValue = existing.value[index];
+          existing.value[index] = value; // eslint-disable-line no-param-reassign
+        }
+      }
+      this._countDropped([Object.assign({}, existing, { value: [droppedValue] })], 'maxSamplesPerSeries');
+    });
+  }
+
+  _flushEarly() {
+    if (!this._nextFlush) {
+      this._autoFlush();
+    }
+  }
+
+  _countDropped(metricsData, reason) {
+    const count = metricsData.reduce((sum, metricData) => sum + getSampleCount(metricData), 0);
+    this._droppedSamples[reason] = (this._droppedSamples[reason] || 0) + count;
+    this.emit('dropped', metricsData, reason);
+  }
+
+  getStats() {
+    return {
+      series: this._metrics.size,
+      droppedSamples: Object.assign({}, this._droppedSamples)
+    };
+  }
+
+  _mergeMetricLists(...metricLists) {
+    const merged = new Map();
+    metricLists.forEach(metricsData => metricsData.forEach(metricData => {
+      const key = this._getMetricKey(metricData);
+      const existing = merged.get(key);
+      merged.set(
+        key,
+        existing ? Object.assign({}, existing, { value: this._mergeValues(existing, metricData.value) }) : metricData
+      );
+    }));
+    return Array.from(merged.values());
+  }
+
+  // metrics a driver failed to accept are kept in a backlog of that driver only, so that
+  // drivers which did accept them don't receive them twice on the next flush
+  _requeueMetrics(driver, metricsData, requeuedAt) {
+    const now = Date.now();
+    const backlog = this._backlogs.get(driver) || { metrics: new Map(), requeuedAt: new Map() };
+    const expired = [];
+    const overflowed = [];
 
-    metricsData = [].concat(metricsData); // eslint-disable-line no-param-reassign
     metricsData.forEach(metricData => {
       const key = this._getMetricKey(metricData);
-      const metric = this._metrics.get(key);
-      if (metric) {
-        metric.value.push(metricData.value);
+      const existing = backlog.metrics.get(key);
+      const firstFailedAt = requeuedAt.get(key) || now;
+
+      if (now - firstFailedAt > this.maxBufferAge) {
+        expired.push(metricData);
+      } else if (existing) {
+        existing.value = this._mergeValues(existing, metricData.value);
+      } else if (backlog.metrics.size >= this.maxBufferSize) {
+        overflowed.push(metricData);
       } else {
-        this._metrics.set(key, Object.assign({}, metricData, { value: [metricData.value] }));
+        backlog.metrics.set(key, Object.assign({}, metricData));
+        backlog.requeuedAt.set(key, firstFailedAt);
+      }
+    });
+
+    if (backlog.metrics.size > 0) {
+      this._backlogs.set(driver, backlog);
+    }
+    this._dropMetrics(expired, 'maxBufferAge');
+    this._dropMetrics(overflowed, 'maxBufferSize');
+  }
+
+  _dropMetrics(metricsData, reason) {
+    if (metricsData.length === 0) {
+      return;
+    }
+
+    if (this.logger.warn) {
+      this.logger.warn({ count: metricsData.length, reason }, 'dropping metrics');
+    }
+    if (this.onDropped) {
+      this.onDropped(metricsData, reason);
+    }
+    this._countDropped(metricsData, reason);
+  }
+
+  _getPeriodStart(time, period) {
+    return new Date(time - (time % period));
+  }
+
+  // CloudWatch rejects data points older than two weeks or more than two hours in the future
+  _getTimestamp(metricData, period) {
+    const now = Date.now();
+    const time = metricData.timestamp ? new Date(metricData.timestamp).getTime() : now;
+    const minTime = (now - MAX_TIMESTAMP_AGE) + period;
+    const maxTime = now + MAX_TIMESTAMP_LEAD;
+
+    if (time >= minTime && time <= maxTime) {
+      return time;
+    }
+
+    // an unparsable timestamp can't be clamped into range
+    if (this.timestampPolicy === TIMESTAMP_POLICIES.CLAMP && Number.isFinite(time)) {
+      if (this.logger.warn) {
+        this.logger.warn({ name: metricData.name, timestamp: metricData.timestamp }, 'clamping metric timestamp');
+      }
+      return Math.min(Math.max(time, minTime), maxTime);
+    }
+
+    this._dropMetrics([metricData], 'timestampOutOfRange');
+    return null;
+  }
+
+  // applies default dimensions, moves samples into the period of their timestamp and
+  // emits the metric once per dimension set, if any
+  _expandMetric(metricData) {
+    const dimensions = Object.assign({}, this.defaultDimensions, metricData.dimensions);
+    const dimensionSets = metricData.dimensionSets || this.dimensionSets;
+    const metric = Object.assign({}, metricData, { dimensions });
+    delete metric.dimensionSets;
+
+    if (metricData.storageResolution !== undefined) {
+      assert(STORAGE_RESOLUTIONS.includes(metricData.storageResolution), 'storageResolution must be 1 or 60');
+    }
+
+    const period = metricData.storageResolution === HIGH_RESOLUTION
+      ? this.highResolutionPeriod
+      : this.aggregationPeriod;
+    const time = this._getTimestamp(metricData, period);
+    if (time === null) {
+      return [];
+    }
+    metric.timestamp = this._getPeriodStart(time, period);
+
+    if (!dimensionSets) {
+      return [metric];
+    }
+
+    return dimensionSets.map(dimensionNames => Object.assign({}, metric, {
+      dimensions: dimensionNames
+        .filter(dimensionName => dimensionName in dimensions)
+        .reduce((acc, dimensionName) => Object.assign(acc, { [dimensionName]: dimensions[dimensionName] }), {})
+    }));
+  }
+
+  addMetrics(metricsData) {
+    assert(metricsData, 'missing metricsData');
+
+    metricsData = [].concat(metricsData) // eslint-disable-line no-param-reassign
+      .reduce((acc, metricData) => acc.concat(this._expandMetric(metricData)), []);
+    metricsData.forEach(recordedMetricData => {
+      const metricData = this._normalizeUnit(this.cardinalityGuard
+        ? this.cardinalityGuard.guard(recordedMetricData)
+        : recordedMetricData);
+      assert(
+        !metricData.type || Object.keys(METRIC_TYPES).some(type => METRIC_TYPES[type] === metricData.type),
+        `unknown metric type ${metricData.type}`
+      );
+
+      const key = this._getMetricKey(metricData);
+      if (!this._metrics.has(key)) {
+        this._checkSeriesUnit(metricData);
       }
+
+      this._bufferMetric(key, Object.assign({}, metricData, {
+        value: isScalarType(metricData.type) ? metricData.value : [metricData.value]
+      }));
     });
 
     return this;
   }
 
+  increment(name, value = 1, dimensions = {}, options = {}) {
+    return this.addMetrics(Object.assign(
+      { name, dimensions, unit: UNITS.COUNT },
+      options,
+      { type: METRIC_TYPES.COUNTER, value }
+    ));
+  }
+
+  gauge(name, value, dimensions = {}, options = {}) {
+    return this.addMetrics(Object.assign(
+      { name, dimensions },
+      options,
+      { type: METRIC_TYPES.GAUGE, value }
+    ));
+  }
+
+  timing(name, value, dimensions = {}, options = {}) {
+    return this.addMetrics(Object.assign(
+      { name, dimensions, unit: UNITS.MILLIS },
+      options,
+      { type: METRIC_TYPES.TIMER, value }
+    ));
+  }
+
+  histogram(name, value, dimensions = {}, options = {}) {
+    return this.addMetrics(Object.assign(
+      { name, dimensions, aggregation: AGGREGATIONS.VALUES },
+      options,
+      { type: METRIC_TYPES.HISTOGRAM, value }
+    ));
+  }
+
+  startTimer(name, dimensions = {}, options = {}) {
+    const unit = options.unit || UNITS.MILLIS;
+    assert(units.canConvert(INPUT_UNITS.NANOS, unit), `unsupported timer unit ${unit}`);
+
+    const start = process.hrtime();
+    let duration;
+
+    return (stopOptions = {}) => {
+      if (duration !== undefined) {
+        return duration;
+      }
+
+      const [seconds, nanos] = process.hrtime(start);
+      const success = stopOptions.success !== false;
+      const timerDimensions = Object.assign({}, dimensions, stopOptions.dimensions);
+      duration = units.convert((seconds * 1e9) + nanos, INPUT_UNITS.NANOS, unit);
+
+      if (options.errorMetric && !success) {
+        this.increment(options.errorMetric, 1, timerDimensions);
+      }
+      this.timing(
+        name,
+        duration,
+        options.outcomeDimension
+          ? Object.assign({}, timerDimensions, {
+            [options.outcomeDimension]: success ? OUTCOMES.SUCCESS : OUTCOMES.FAILURE
+          })
+          : timerDimensions,
+        { unit }
+      );
+
+      return duration;
+    };
+  }
+
+  time(name, dimensions, fn, options) {
+    if (typeof dimensions === 'function') {
+      return this.time(name, {}, dimensions, fn);
+    }
+
+    const stop = this.startTimer(name, dimensions, options);
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      stop({ success: false });
+      throw err;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return BPromise.resolve(result)
+        .tap(() => stop())
+        .tapCatch(() => stop({ success: false }));
+    }
+
+    stop();
+    return result;
+  }
+
+  child(options = {}) {
+    return new ScopedCollector(this, options);
+  }
+
   getMetrics() {
     return Array.from(this._metrics.values());
   }
 
+  // merges metrics as returned by getMetrics of another collector into the buffer. they were already
+  // expanded by the collector that recorded them, so only their values are merged: counters are summed up,
+  // gauges keep the latest value and samples are concatenated
+  mergeMetrics(rawMetrics) {
+    assert(rawMetrics, 'missing rawMetrics');
+
+    [].concat(rawMetrics).forEach(rawMetric => {
+      const metric = Object.assign({}, rawMetric, {
+        dimensions: Object.assign({}, rawMetric.dimensions),
+        value: isScalarType(rawMetric.type) ? rawMetric.value : [].concat(rawMetric.value)
+      });
+      // timestamps lose their type when serialized to be passed between processes
+      if (rawMetric.timestamp) {
+        metric.timestamp = new Date(rawMetric.timestamp);
+      }
+
+      const key = this._getMetricKey(metric);
+      if (!this._metrics.has(key)) {
+        this._checkSeriesUnit(metric);
+      }
+      this._bufferMetric(key, metric);
+    });
+
+    return this;
+  }
+
   clearMetrics() {
     this._metrics.clear();
+    this._seenSamples.clear();
     return this;
   }
 
   stop() {
+    this._removeExitHandlers();
+    if (this.runtimeMetrics) {
+      this.runtimeMetrics.stop();
+    }
     if (this._stopped) {
       return BPromise.resolve();
     }
 
     this._stopped = true;
     clearTimeout(this._flushTimer);
-    return this.flush();
+    return this.flush()
+      .finally(() => this.emit('stopped'));
+  }
+
+  // buffered metrics would be lost while a Lambda container is frozen, so every invocation flushes
+  // before handing its outcome back to the runtime
+  wrapLambda(handler) {
+    assert(typeof handler === 'function', 'handler must be a function');
+
+    return (event, context, callback) => {
+      const invocation = new BPromise((resolve, reject) => {
+        const handlerCallback = (err, response) => (err ? reject(err) : resolve(response));
+        const result = handler(event, context, handlerCallback);
+        if (result && typeof result.then === 'function') {
+          result.then(response => handlerCallback(null, response), handlerCallback);
+        } else if (result !== undefined) {
+          handlerCallback(null, result);
+        }
+      });
+      const flushed = invocation
+        .reflect()
+        .then(() => this.flush().timeout(this.exitTimeout))
+        .catch(BPromise.TimeoutError, err => this._reportError(err, {}, 'failed to flush metrics'))
+        .catch(() => {});
+
+      return flushed
+        .then(() => invocation)
+        .asCallback(callback);
+    };
+  }
+
+  _sendToDriver(driver, metricsData) {
+    const backlog = this._backlogs.get(driver);
+    this._backlogs.delete(driver);
+
+    const payload = backlog
+      ? this._mergeMetricLists(Array.from(backlog.metrics.values()), metricsData)
+      : metricsData;
+    if (payload.length === 0) {
+      return BPromise.resolve({ summary: { batchCount: 0, datumCount: 0 } });
+    }
+
+    // drivers that don't tell otherwise are assumed to send everything in a single batch
+    return BPromise.try(() => driver.sendMetrics(payload))
+      .then(summary => ({ summary: Object.assign({ batchCount: 1, datumCount: payload.length }, summary) }))
+      .catch(err => {
+        const failedMetrics = err.failedMetrics || payload;
+        this._reportError(err, { driver, metrics: failedMetrics }, 'failed to send metrics');
+        this._requeueMetrics(driver, failedMetrics, backlog ? backlog.requeuedAt : new Map());
+        return { err };
+      });
   }
 
+  // flushes never overlap, a flush requested while one is in flight runs once that one settles
   flush() {
+    if (this._flushing) {
+      if (!this._nextFlush) {
+        this._nextFlush = this._flushing.reflect()
+          .then(() => {
+            this._nextFlush = null;
+            return this.flush();
+          });
+      }
+      return this._nextFlush;
+    }
+
+    this._flushing = this._flush()
+      .finally(() => {
+        this._flushing = null;
+      });
+    return this._flushing;
+  }
+
+  _flush() {
     const metricsData = this.getMetrics();
 
     this.clearMetrics();
@@ -82,12 +848,57 @@ module.exports = class MetricCollector {
       this._setupFlushTimer();
     }
 
-    if (metricsData.length === 0) {
+    if (metricsData.length === 0 && this._backlogs.size === 0) {
+      // samples dropped in the meantime still get reported
+      if (this.selfMetrics) {
+        this._recordSelfMetrics(metricsData, 0);
+      }
       return BPromise.resolve();
     }
 
-    return this.cloudwatchDriver.sendMetrics(metricsData);
+    const start = Date.now();
+    this.emit('flush', { metrics: metricsData });
+
+    // every driver gets its own attempt, so one failing backend doesn't block delivery to the others
+    return BPromise.map(this.drivers, driver => this._sendToDriver(driver, metricsData))
+      .then(results => {
+        const summaries = results.filter(result => result.summary).map(result => result.summary);
+        const errors = results.filter(result => result.err).map(result => result.err);
+
+        const duration = Date.now() - start;
+
+        this.emit('flushed', {
+          batchCount: summaries.reduce((count, summary) => count + summary.batchCount, 0),
+          datumCount: summaries.reduce((count, summary) => count + summary.datumCount, 0),
+          duration,
+          errorCount: errors.length
+        });
+        if (this.selfMetrics) {
+          // drivers which don't emit failed events count as a single failed send, unless it held self metrics only
+          this._selfCounters.failedSends += results
+            .filter((result, index) => result.err && typeof this.drivers[index].on !== 'function')
+            .filter(({ err }) => (err.failedMetrics || metricsData).some(metricData => !this._isSelfMetric(metricData)))
+            .length;
+          this._recordSelfMetrics(metricsData, duration);
+        }
+        if (errors.length > 0) {
+          throw errors[0];
+        }
+      });
   }
-};
+}
+
+// the recording helpers only rely on addMetrics, so scoped collectors can share them
+['increment', 'gauge', 'timing', 'histogram', 'startTimer', 'time'].forEach(method => {
+  ScopedCollector.prototype[method] = MetricCollector.prototype[method];
+});
 
-module.exports.UNITS = CloudWatchDriver.UNITS;
+module.exports = MetricCollector;
+module.exports.AGGREGATIONS = AGGREGATIONS;
+module.exports.INPUT_UNITS = INPUT_UNITS;
+module.exports.METRIC_TYPES = METRIC_TYPES;
+module.exports.OUTCOMES = OUTCOMES;
+module.exports.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+module.exports.TIMESTAMP_POLICIES = TIMESTAMP_POLICIES;
+module.exports.VALIDATION_POLICIES = CloudWatchDriver.VALIDATION_POLICIES;
+module.exports.UNITS = UNITS;
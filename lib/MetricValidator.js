@@ -0,0 +1,162 @@
+'use strict';
+
+const assert = require('assert');
+
+const { isStandardUnit } = require('./units');
+
+const NAME_LENGTH_LIMIT = 255;
+const DIMENSION_COUNT_LIMIT = 30;
+const DIMENSION_VALUE_LENGTH_LIMIT = 1024;
+const MAX_VALUE = 2 ** 360;
+const MIN_VALUE = 2 ** -360;
+const POLICIES = {
+  DROP: 'drop',
+  SANITIZE: 'sanitize',
+  THROW: 'throw'
+};
+
+const isValidString = (value, lengthLimit) => typeof value === 'string' && value.length > 0 && value.length <= lengthLimit;
+const isPresent = value => value !== undefined && value !== null && String(value).length > 0;
+const isValidTimestamp = timestamp => Number.isFinite(new Date(timestamp).getTime());
+const isValidValue = value => typeof value === 'number' &&
+  Number.isFinite(value) &&
+  Math.abs(value) <= MAX_VALUE &&
+  (value === 0 || Math.abs(value) >= MIN_VALUE);
+
+module.exports = class MetricValidator {
+
+  constructor(options = {}) {
+    this.policy = options.policy || POLICIES.DROP;
+    assert(
+      Object.keys(POLICIES).some(policy => POLICIES[policy] === this.policy),
+      `unknown validation policy ${this.policy}`
+    );
+
+    this.logger = options.logger || console;
+    this.onInvalid = options.onInvalid;
+  }
+
+  getErrors(rawMetric) {
+    const errors = [];
+    const dimensions = rawMetric.dimensions || {};
+    const dimensionNames = Object.keys(dimensions);
+    const values = [].concat(rawMetric.value);
+
+    if (!isValidString(rawMetric.name, NAME_LENGTH_LIMIT)) {
+      errors.push(`name must be a string of 1 to ${NAME_LENGTH_LIMIT} characters`);
+    }
+    if (dimensionNames.length > DIMENSION_COUNT_LIMIT) {
+      errors.push(`at most ${DIMENSION_COUNT_LIMIT} dimensions are allowed`);
+    }
+    dimensionNames.forEach(name => {
+      if (!isValidString(name, NAME_LENGTH_LIMIT)) {
+        errors.push(`dimension name ${name} must be a string of 1 to ${NAME_LENGTH_LIMIT} characters`);
+      }
+      if (!isValidString(dimensions[name], DIMENSION_VALUE_LENGTH_LIMIT)) {
+        errors.push(`dimension ${name} value must be a string of 1 to ${DIMENSION_VALUE_LENGTH_LIMIT} characters`);
+      }
+    });
+    if (values.length === 0) {
+      errors.push('value is missing');
+    }
+    if (!values.every(isValidValue)) {
+      errors.push('values must be finite numbers between -2^360 and 2^360');
+    }
+    if (rawMetric.unit && !isStandardUnit(rawMetric.unit)) {
+      errors.push(`unknown unit ${rawMetric.unit}`);
+    }
+    if (rawMetric.timestamp && !isValidTimestamp(rawMetric.timestamp)) {
+      errors.push('timestamp must be a valid date');
+    }
+
+    return errors;
+  }
+
+  // returns a copy of the metric fixed up to CloudWatch limits, or null when it can't be fixed
+  sanitize(rawMetric) {
+    if (typeof rawMetric.name !== 'string' || rawMetric.name.length === 0) {
+      return null;
+    }
+
+    const dimensions = rawMetric.dimensions || {};
+    const sanitizeValue = value => {
+      if (value !== 0 && Math.abs(value) < MIN_VALUE) {
+        return 0;
+      }
+      return Math.max(-MAX_VALUE, Math.min(MAX_VALUE, value));
+    };
+    const values = [].concat(rawMetric.value)
+      .filter(value => typeof value === 'number' && Number.isFinite(value))
+      .map(sanitizeValue);
+
+    if (values.length === 0) {
+      return null;
+    }
+
+    const result = Object.assign({}, rawMetric, {
+      name: rawMetric.name.slice(0, NAME_LENGTH_LIMIT),
+      dimensions: Object.keys(dimensions)
+        .filter(name => name.length > 0 && isPresent(dimensions[name]))
+        .slice(0, DIMENSION_COUNT_LIMIT)
+        .reduce((acc, name) => Object.assign(acc, {
+          [name.slice(0, NAME_LENGTH_LIMIT)]: String(dimensions[name]).slice(0, DIMENSION_VALUE_LENGTH_LIMIT)
+        }), {}),
+      value: Array.isArray(rawMetric.value) ? values : values[0]
+    });
+
+    if (result.unit && !isStandardUnit(result.unit)) {
+      delete result.unit;
+    }
+    // without a timestamp, CloudWatch uses the time it receives the metric at
+    if (result.timestamp && !isValidTimestamp(result.timestamp)) {
+      delete result.timestamp;
+    }
+
+    return result;
+  }
+
+  _reportInvalid(rawMetric, errors) {
+    if (this.logger.warn) {
+      this.logger.warn({ metric: rawMetric, errors, policy: this.policy }, 'invalid metric');
+    }
+    if (this.onInvalid) {
+      this.onInvalid(rawMetric, errors);
+    }
+  }
+
+  // applies the validation policy, returning the metrics that can be sent
+  validate(rawMetrics) {
+    const validMetrics = [];
+    const invalidMetrics = [];
+
+    rawMetrics.forEach(rawMetric => {
+      const errors = this.getErrors(rawMetric);
+      if (errors.length === 0) {
+        validMetrics.push(rawMetric);
+        return;
+      }
+
+      this._reportInvalid(rawMetric, errors);
+      invalidMetrics.push({ rawMetric, errors });
+
+      if (this.policy === POLICIES.SANITIZE) {
+        const sanitizedMetric = this.sanitize(rawMetric);
+        if (sanitizedMetric) {
+          validMetrics.push(sanitizedMetric);
+        }
+      }
+    });
+
+    if (this.policy === POLICIES.THROW && invalidMetrics.length > 0) {
+      const err = new Error(`invalid metrics: ${invalidMetrics.map(invalid => invalid.rawMetric.name).join(', ')}`);
+      err.code = 'InvalidMetric';
+      err.invalidMetrics = invalidMetrics;
+      err.validMetrics = validMetrics;
+      throw err;
+    }
+
+    return validMetrics;
+  }
+};
+
+module.exports.POLICIES = POLICIES;
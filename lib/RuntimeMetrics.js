@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+
+const units = require('./units');
+
+const { INPUT_UNITS, UNITS } = units;
+
+const DEFAULT_INTERVAL = 10000;
+const EVENT_LOOP_RESOLUTION = 20;
+const GC_KINDS = {
+  1: 'Minor',
+  4: 'Major',
+  8: 'Incremental',
+  16: 'WeakCallbacks'
+};
+
+const toMillis = nanos => units.convert(nanos, INPUT_UNITS.NANOS, UNITS.MILLIS);
+
+// samples event loop delay, memory, GC pauses and active handles of the process into a collector
+module.exports = class RuntimeMetrics {
+
+  constructor(collector, options = {}) {
+    assert(collector && typeof collector.addMetrics === 'function', 'collector must implement addMetrics');
+
+    this.collector = collector;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.dimensions = options.dimensions || {};
+    this._timer = null;
+  }
+
+  // perf_hooks is only loaded once runtime metrics are started, so the rest of the library keeps
+  // working on Node.js versions without it
+  start() {
+    if (this._timer) {
+      return this;
+    }
+
+    const { monitorEventLoopDelay, PerformanceObserver } = require('perf_hooks'); // eslint-disable-line global-require
+
+    this._eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+    this._eventLoopDelay.enable();
+    this._gcObserver = new PerformanceObserver(list => this._recordGc(list.getEntries()));
+    this._gcObserver.observe({ entryTypes: ['gc'] });
+
+    this._timer = setInterval(this.sample.bind(this), this.interval);
+    this._timer.unref();
+
+    if (typeof this.collector.once === 'function') {
+      this._onStopped = this.stop.bind(this);
+      this.collector.once('stopped', this._onStopped);
+    }
+    return this;
+  }
+
+  stop() {
+    if (!this._timer) {
+      return this;
+    }
+
+    clearInterval(this._timer);
+    this._timer = null;
+    this._eventLoopDelay.disable();
+    this._gcObserver.disconnect();
+    if (this._onStopped) {
+      this.collector.removeListener('stopped', this._onStopped);
+      this._onStopped = null;
+    }
+    return this;
+  }
+
+  _recordGc(entries) {
+    entries.forEach(entry => {
+      const kind = entry.detail ? entry.detail.kind : entry.kind;
+      this.collector.timing(
+        'GcPause',
+        entry.duration,
+        Object.assign({}, this.dimensions, { GcKind: GC_KINDS[kind] || 'Unknown' })
+      );
+    });
+  }
+
+  _getActiveHandleCount() {
+    if (typeof process.getActiveResourcesInfo === 'function') {
+      return process.getActiveResourcesInfo().length;
+    }
+    return process._getActiveHandles().length;
+  }
+
+  sample() {
+    const memoryUsage = process.memoryUsage();
+    const bytes = { unit: UNITS.BYTES };
+
+    if (this._eventLoopDelay && Number.isFinite(this._eventLoopDelay.mean)) {
+      this.collector
+        .timing('EventLoopDelay', toMillis(this._eventLoopDelay.mean), this.dimensions)
+        .gauge('EventLoopDelayMax', toMillis(this._eventLoopDelay.max), this.dimensions, { unit: UNITS.MILLIS });
+      this._eventLoopDelay.reset();
+    }
+
+    this.collector
+      .gauge('HeapUsed', memoryUsage.heapUsed, this.dimensions, bytes)
+      .gauge('HeapTotal', memoryUsage.heapTotal, this.dimensions, bytes)
+      .gauge('Rss', memoryUsage.rss, this.dimensions, bytes)
+      .gauge('External', memoryUsage.external, this.dimensions, bytes)
+      .gauge('ActiveHandles', this._getActiveHandleCount(), this.dimensions, { unit: UNITS.COUNT });
+    return this;
+  }
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const dgram = require('dgram');
+
+const { METRIC_TYPES } = require('./MetricCollector');
+const { UNITS, canConvert, convert } = require('./units');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8125;
+// the largest payload that fits a single ethernet frame without fragmentation
+const DEFAULT_MAX_PACKET_SIZE = 1432;
+
+// characters with a meaning in the line protocol can't appear in names or tags
+const sanitize = value => String(value).replace(/[:|@#,\s]/g, '_');
+
+// sends metrics as StatsD lines over UDP, with dimensions as DogStatsD tags unless dogstatsd is false,
+// in which case dimension values are appended to the metric name
+module.exports = class StatsdDriver {
+
+  constructor(options = {}) {
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port || DEFAULT_PORT;
+    this.prefix = options.prefix || '';
+    this.dogstatsd = options.dogstatsd !== false;
+    this.maxPacketSize = options.maxPacketSize || DEFAULT_MAX_PACKET_SIZE;
+    this.logger = options.logger || console;
+    this.socket = options.socket || null;
+  }
+
+  _getSocket() {
+    if (!this.socket) {
+      this.socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+      // sending metrics must never keep the process alive
+      this.socket.unref();
+    }
+    return this.socket;
+  }
+
+  _getType(rawMetric) {
+    switch (rawMetric.type) {
+      case METRIC_TYPES.COUNTER:
+        return 'c';
+      case METRIC_TYPES.GAUGE:
+        return 'g';
+      case METRIC_TYPES.TIMER:
+        return 'ms';
+      default:
+        // plain StatsD has no histograms, timers get the same statistics
+        return this.dogstatsd ? 'h' : 'ms';
+    }
+  }
+
+  _getName(rawMetric) {
+    const dimensions = rawMetric.dimensions || {};
+    const path = [rawMetric.namespace, rawMetric.name]
+      .concat(this.dogstatsd ? [] : Object.keys(dimensions).sort().map(name => dimensions[name]))
+      .filter(part => part !== undefined && part !== null && part !== '');
+    return `${this.prefix}${path.map(sanitize).join('.')}`;
+  }
+
+  _getTags(rawMetric) {
+    const dimensions = rawMetric.dimensions || {};
+    const tags = Object.keys(dimensions).map(name => `${sanitize(name)}:${sanitize(dimensions[name])}`);
+    return this.dogstatsd && tags.length > 0 ? `|#${tags.join(',')}` : '';
+  }
+
+  _createLines(rawMetric) {
+    const name = this._getName(rawMetric);
+    const type = this._getType(rawMetric);
+    const suffix = `|${type}${this._getTags(rawMetric)}`;
+    const toMillis = type === 'ms' && rawMetric.unit && canConvert(rawMetric.unit, UNITS.MILLIS)
+      ? value => convert(value, rawMetric.unit, UNITS.MILLIS)
+      : value => value;
+
+    return [].concat(rawMetric.value).map(toMillis).map(value => {
+      // a signed gauge value is read as a change of the gauge, so negative gauges are set to 0 first.
+      // both are kept in one line so that they end up in the same packet
+      if (type === 'g' && value < 0) {
+        return `${name}:0${suffix}\n${name}:${value}${suffix}`;
+      }
+      return `${name}:${value}${suffix}`;
+    });
+  }
+
+  // lines are packed into as few packets as maxPacketSize allows, a line longer than that is sent on its own
+  _createPackets(rawMetrics) {
+    const packets = [];
+    let packet = null;
+
+    rawMetrics.forEach(rawMetric => this._createLines(rawMetric).forEach(line => {
+      const size = Buffer.byteLength(line);
+      if (!packet || packet.size + 1 + size > this.maxPacketSize) {
+        packet = { lines: [], size: -1, rawMetrics: new Set() };
+        packets.push(packet);
+      }
+      packet.lines.push(line);
+      packet.size += 1 + size;
+      packet.rawMetrics.add(rawMetric);
+    }));
+
+    return packets;
+  }
+
+  _sendPacket(packet) {
+    const data = Buffer.from(packet.lines.join('\n'));
+    return BPromise.fromCallback(callback => this._getSocket().send(data, this.port, this.host, callback));
+  }
+
+  // packets are sent one after the other, so that a failure leaves only the metrics of the
+  // remaining packets to be resent
+  sendMetrics(rawMetrics) {
+    const metrics = [].concat(rawMetrics);
+    const packets = this._createPackets(metrics);
+
+    if (this.logger.debug) {
+      this.logger.debug({ packetCount: packets.length }, 'sending metrics');
+    }
+    return BPromise.each(packets, (packet, index) => this._sendPacket(packet)
+      .catch(err => {
+        const failed = packets.slice(index).reduce((acc, { rawMetrics: packetMetrics }) => {
+          packetMetrics.forEach(rawMetric => acc.add(rawMetric));
+          return acc;
+        }, new Set());
+        err.failedMetrics = metrics.filter(rawMetric => failed.has(rawMetric)); // eslint-disable-line no-param-reassign
+        throw err;
+      }))
+      .then(() => ({ batchCount: packets.length, datumCount: metrics.length }));
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    return this;
+  }
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+const dgram = require('dgram');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 8125;
+const DEFAULT_MAX_GAUGES = 10000;
+
+// name:value[:value...]|type[|@rate][|#tag:value,...], several values per line are a DogStatsD extension
+const parseLine = line => {
+  const [metric, type, ...fields] = line.split('|');
+  const separator = metric.indexOf(':');
+  if (separator < 1 || !type) {
+    return null;
+  }
+
+  const rawValues = metric.slice(separator + 1).split(':');
+  const values = rawValues.map(Number);
+  if (values.some(value => !Number.isFinite(value))) {
+    return null;
+  }
+
+  const rateField = fields.find(field => field.startsWith('@'));
+  const tagsField = fields.find(field => field.startsWith('#'));
+  const rate = rateField ? Number(rateField.slice(1)) : 1;
+  if (!(rate > 0 && rate <= 1)) {
+    return null;
+  }
+
+  // tags without a value can't become dimensions, so they are ignored
+  const dimensions = (tagsField ? tagsField.slice(1).split(',') : [])
+    .map(tag => tag.split(':'))
+    .filter(([name, ...value]) => name && value.length > 0)
+    .reduce((acc, [name, ...value]) => Object.assign(acc, { [name]: value.join(':') }), {});
+
+  return {
+    name: metric.slice(0, separator),
+    values,
+    // a signed gauge value is a change of the gauge rather than its value
+    relative: rawValues.map(value => type === 'g' && /^[+-]/.test(value)),
+    type,
+    rate,
+    dimensions
+  };
+};
+
+// receives StatsD and DogStatsD packets over UDP and records their metrics in a collector, turning it into a
+// local StatsD to CloudWatch bridge. sets aren't supported
+module.exports = class StatsdListener {
+
+  constructor(collector, options = {}) {
+    assert(collector && typeof collector.increment === 'function', 'collector must implement increment');
+
+    this.collector = collector;
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port === undefined ? DEFAULT_PORT : options.port;
+    this.logger = options.logger || collector.logger || console;
+    this.maxGauges = options.maxGauges || collector.maxSeries || DEFAULT_MAX_GAUGES;
+    this.socket = null;
+    this._gauges = new Map();
+  }
+
+  // gauges outlive the flushes of the collector, changes apply to the last value the listener received
+  _setGauge(name, dimensions, value, relative) {
+    const key = JSON.stringify([name].concat(Object.keys(dimensions).sort()
+      .map(dimension => [dimension, dimensions[dimension]])));
+    const gaugeValue = relative ? (this._gauges.get(key) || 0) + value : value;
+
+    this._gauges.delete(key);
+    if (this._gauges.size >= this.maxGauges) {
+      this._gauges.delete(this._gauges.keys().next().value);
+    }
+    this._gauges.set(key, gaugeValue);
+    return gaugeValue;
+  }
+
+  _record(line) {
+    const metric = parseLine(line);
+    if (!metric) {
+      if (this.logger.warn) {
+        this.logger.warn({ line }, 'ignoring invalid statsd line');
+      }
+      return;
+    }
+
+    const {
+      name,
+      values,
+      rate,
+      dimensions
+    } = metric;
+    switch (metric.type) {
+      case 'c':
+        // counters are sent for a sample of the events only, so they are scaled back up
+        values.forEach(value => this.collector.increment(name, value / rate, dimensions));
+        break;
+      case 'g':
+        values.forEach((value, index) => this.collector
+          .gauge(name, this._setGauge(name, dimensions, value, metric.relative[index]), dimensions));
+        break;
+      case 'ms':
+        values.forEach(value => this.collector.timing(name, value, dimensions));
+        break;
+      case 'h':
+      case 'd':
+        values.forEach(value => this.collector.histogram(name, value, dimensions));
+        break;
+      default:
+        if (this.logger.warn) {
+          this.logger.warn({ line, type: metric.type }, 'ignoring unsupported statsd metric type');
+        }
+    }
+  }
+
+  handlePacket(packet) {
+    String(packet)
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .forEach(line => this._record(line));
+    return this;
+  }
+
+  // resolves once the socket is bound, port 0 binds a random port which address() tells
+  start() {
+    if (this.socket) {
+      return BPromise.resolve(this);
+    }
+
+    const socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+    this.socket = socket;
+    socket.on('message', packet => this.handlePacket(packet));
+
+    return new BPromise((resolve, reject) => {
+      // a socket which failed to bind is dropped, so that start() can be tried again
+      const onBindError = err => {
+        this.socket = null;
+        socket.close();
+        reject(err);
+      };
+      socket.once('error', onBindError);
+      socket.bind(this.port, this.host, () => {
+        socket.removeListener('error', onBindError);
+        socket.on('error', err => this.logger.error({ err }, 'statsd listener error'));
+        resolve(this);
+      });
+    });
+  }
+
+  address() {
+    return this.socket ? this.socket.address() : null;
+  }
+
+  stop() {
+    if (!this.socket) {
+      return BPromise.resolve();
+    }
+
+    const { socket } = this;
+    this.socket = null;
+    return new BPromise(resolve => socket.close(resolve));
+  }
+};
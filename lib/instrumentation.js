@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+
+const assertCollector = collector => {
+  assert(collector && typeof collector.startTimer === 'function', 'collector must implement startTimer');
+};
+
+// the clients the collector sends its own metrics with, so that it doesn't end up measuring itself
+const getCollectorClients = collector => (collector.drivers || [])
+  .map(driver => driver.client || (driver.fallback && driver.fallback.client))
+  .filter(Boolean);
+
+const getCollectorHosts = collector => getCollectorClients(collector)
+  .filter(client => client.endpoint)
+  .map(client => client.endpoint.hostname || client.endpoint.host);
+
+const getHost = req => req.host || String(req.getHeader('host') || '').split(':')[0];
+
+// outgoing requests are measured until their response headers arrive, as the body may never be consumed
+const trackRequest = (collector, req, options) => {
+  const dimensions = Object.assign({}, options.dimensions, { Host: getHost(req) });
+  const stopTimer = collector.startTimer('OutboundLatency');
+  let recorded = false;
+
+  const record = statusClass => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    const requestDimensions = Object.assign({}, dimensions, { StatusClass: statusClass });
+    stopTimer({ dimensions: requestDimensions });
+    collector
+      .increment('OutboundRequestCount', 1, requestDimensions)
+      .increment('OutboundErrors', statusClass === 'Error' || statusClass === '5xx' ? 1 : 0, dimensions);
+  };
+
+  // runs ahead of the other listeners, so that they are still attached when counted. node discards responses
+  // nobody listens for, our listener must not keep their socket busy
+  req.prependOnceListener('response', res => {
+    record(`${Math.floor(res.statusCode / 100)}xx`);
+    if (req.listenerCount('response') === 0) {
+      res.resume();
+    }
+  });
+  req.once('error', () => record('Error'));
+};
+
+const patchModule = (module, collector, options, excludedHosts) => {
+  const { request } = module;
+  const instrumentedRequest = function(...args) {
+    const req = request.apply(this, args);
+    if (!excludedHosts.includes(getHost(req))) {
+      trackRequest(collector, req, options);
+    }
+    return req;
+  };
+
+  Object.assign(module, {
+    request: instrumentedRequest,
+    get(...args) {
+      const req = instrumentedRequest.apply(this, args);
+      req.end();
+      return req;
+    }
+  });
+};
+
+// hooks http.request and https.request (and their get helpers), returns a function undoing it
+const instrumentHttp = (collector, options = {}) => {
+  assertCollector(collector);
+
+  const excludedHosts = getCollectorHosts(collector).concat(options.excludeHosts || []);
+  const originals = [http, https].map(module => ({ module, request: module.request, get: module.get }));
+  originals.forEach(({ module }) => patchModule(module, collector, options, excludedHosts));
+
+  return () => originals.forEach(({ module, request, get }) => Object.assign(module, { request, get }));
+};
+
+const getServiceName = service => (service.api && (service.api.serviceId || service.api.endpointPrefix)) ||
+  service.serviceIdentifier;
+
+// hooks the global request events of AWS SDK v2, returns a function undoing it
+const instrumentAwsSdk = (collector, AWS, options = {}) => {
+  assertCollector(collector);
+  assert(AWS && AWS.events, 'AWS must be the aws-sdk v2 module');
+
+  const excludedClients = getCollectorClients(collector);
+  const timers = new WeakMap();
+  const getDimensions = request => Object.assign({}, options.dimensions, {
+    Service: getServiceName(request.service),
+    Operation: request.operation
+  });
+  const isExcluded = request => excludedClients.includes(request.service);
+
+  // send is emitted for every attempt, the latency covers all of them
+  const onSend = response => {
+    const { request } = response;
+    if (!isExcluded(request) && !timers.has(request)) {
+      timers.set(request, collector.startTimer('AwsLatency'));
+    }
+  };
+  // retry is emitted after every failed attempt, the sdk only retries while retries are left
+  const onRetry = response => {
+    const isRetried = response.error && response.error.retryable && response.retryCount < response.maxRetries;
+    if (!isExcluded(response.request) && isRetried) {
+      collector.increment('AwsRetries', 1, getDimensions(response.request));
+    }
+  };
+  const onComplete = response => {
+    const { request } = response;
+    const stopTimer = timers.get(request);
+    if (!stopTimer) {
+      return;
+    }
+    timers.delete(request);
+
+    const dimensions = getDimensions(request);
+    stopTimer({ success: !response.error, dimensions });
+    collector
+      .increment('AwsRequestCount', 1, dimensions)
+      .increment('AwsErrors', response.error ? 1 : 0, dimensions);
+  };
+
+  AWS.events
+    .on('send', onSend)
+    .on('retry', onRetry)
+    .on('complete', onComplete);
+
+  return () => AWS.events
+    .removeListener('send', onSend)
+    .removeListener('retry', onRetry)
+    .removeListener('complete', onComplete);
+};
+
+module.exports = {
+  instrumentAwsSdk,
+  instrumentHttp
+};
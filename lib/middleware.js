@@ -0,0 +1,93 @@
+'use strict';
+
+const assert = require('assert');
+const BPromise = require('bluebird');
+
+const { AGGREGATIONS } = require('./CloudWatchDriver');
+const { UNITS } = require('./units');
+
+const UNMATCHED_ROUTE = 'UNMATCHED';
+
+const assertCollector = collector => {
+  assert(collector && typeof collector.startTimer === 'function', 'collector must implement startTimer');
+};
+
+// requests are recorded per route template, never per raw URL, to keep the number of metrics bounded.
+// the error metrics are a 0 or 1 sample per request, sent as statistic sets whose average is the error rate
+const ERROR_SAMPLE_OPTIONS = { unit: UNITS.COUNT, aggregation: AGGREGATIONS.STATISTIC_VALUES };
+
+const startRequest = (collector, method, options) => {
+  const stopTimer = collector.startTimer('Latency');
+  let recorded = false;
+
+  return (route, statusCode) => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    const statusClass = `${Math.floor(statusCode / 100)}xx`;
+    const dimensions = Object.assign({}, options.dimensions, { Route: route || UNMATCHED_ROUTE, Method: method });
+    const requestDimensions = Object.assign({}, dimensions, { StatusClass: statusClass });
+
+    stopTimer({ dimensions: requestDimensions });
+    collector
+      .increment('RequestCount', 1, requestDimensions)
+      .histogram('4xx', statusClass === '4xx' ? 1 : 0, dimensions, ERROR_SAMPLE_OPTIONS)
+      .histogram('5xx', statusClass === '5xx' ? 1 : 0, dimensions, ERROR_SAMPLE_OPTIONS);
+  };
+};
+
+const onResponseDone = (res, callback) => {
+  res.once('finish', callback);
+  res.once('close', callback);
+};
+
+const getExpressRoute = req => (req.route ? `${req.baseUrl || ''}${req.route.path}` : null);
+
+const createExpressMiddleware = (collector, options = {}) => {
+  assertCollector(collector);
+  const getRoute = options.getRoute || getExpressRoute;
+
+  return (req, res, next) => {
+    const recordRequest = startRequest(collector, req.method, options);
+    onResponseDone(res, () => recordRequest(getRoute(req), res.statusCode));
+    next();
+  };
+};
+
+// koa-router exposes the matched route template on the context
+const getKoaRoute = ctx => ctx._matchedRoute || ctx.routerPath || null;
+
+const createKoaMiddleware = (collector, options = {}) => {
+  assertCollector(collector);
+  const getRoute = options.getRoute || getKoaRoute;
+
+  return (ctx, next) => {
+    const recordRequest = startRequest(collector, ctx.method, options);
+
+    return BPromise.try(next)
+      .then(() => recordRequest(getRoute(ctx), ctx.status))
+      .tapCatch(err => recordRequest(getRoute(ctx), err.status || err.statusCode || 500));
+  };
+};
+
+// plain http servers have no router, so requests are UNMATCHED unless options.getRoute names a route
+const wrapRequestListener = (collector, listener, options = {}) => {
+  assertCollector(collector);
+  assert(typeof listener === 'function', 'listener must be a function');
+  const getRoute = options.getRoute || (() => null);
+
+  return (req, res) => {
+    const recordRequest = startRequest(collector, req.method, options);
+    onResponseDone(res, () => recordRequest(getRoute(req), res.statusCode));
+    return listener(req, res);
+  };
+};
+
+module.exports = {
+  UNMATCHED_ROUTE,
+  createExpressMiddleware,
+  createKoaMiddleware,
+  wrapRequestListener
+};
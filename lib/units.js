@@ -0,0 +1,118 @@
+'use strict';
+
+const UNITS = {
+  BITS: 'Bits',
+  BITS_PER_SECOND: 'Bits/Second',
+  BYTES: 'Bytes',
+  BYTES_PER_SECOND: 'Bytes/Second',
+  COUNT: 'Count',
+  COUNT_PER_SECOND: 'Count/Second',
+  GIGABITS: 'Gigabits',
+  GIGABITS_PER_SECOND: 'Gigabits/Second',
+  GIGABYTES: 'Gigabytes',
+  GIGABYTES_PER_SECOND: 'Gigabytes/Second',
+  KILOBITS: 'Kilobits',
+  KILOBITS_PER_SECOND: 'Kilobits/Second',
+  KILOBYTES: 'Kilobytes',
+  KILOBYTES_PER_SECOND: 'Kilobytes/Second',
+  MEGABITS: 'Megabits',
+  MEGABITS_PER_SECOND: 'Megabits/Second',
+  MEGABYTES: 'Megabytes',
+  MEGABYTES_PER_SECOND: 'Megabytes/Second',
+  MICROS: 'Microseconds',
+  MILLIS: 'Milliseconds',
+  NONE: 'None',
+  PERCENT: 'Percent',
+  SECONDS: 'Seconds',
+  TERABITS: 'Terabits',
+  TERABITS_PER_SECOND: 'Terabits/Second',
+  TERABYTES: 'Terabytes',
+  TERABYTES_PER_SECOND: 'Terabytes/Second'
+};
+
+// units values can be recorded in, but which CloudWatch doesn't know about
+const INPUT_UNITS = {
+  NANOS: 'Nanoseconds'
+};
+
+const STANDARD_UNITS = Object.keys(UNITS).map(key => UNITS[key]);
+
+// the standard unit values recorded in an input unit are published in
+const PUBLISHED_UNITS = {
+  [INPUT_UNITS.NANOS]: UNITS.MICROS
+};
+
+const KILO = 1000;
+const KIBI = 1024;
+const BYTE = 8;
+
+// every unit of a family converts to the others through its factor relative to the family base
+const UNIT_FAMILIES = [
+  {
+    [INPUT_UNITS.NANOS]: 1,
+    [UNITS.MICROS]: 1e3,
+    [UNITS.MILLIS]: 1e6,
+    [UNITS.SECONDS]: 1e9
+  },
+  {
+    [UNITS.BITS]: 1,
+    [UNITS.KILOBITS]: KILO,
+    [UNITS.MEGABITS]: KILO ** 2,
+    [UNITS.GIGABITS]: KILO ** 3,
+    [UNITS.TERABITS]: KILO ** 4,
+    [UNITS.BYTES]: BYTE,
+    [UNITS.KILOBYTES]: BYTE * KIBI,
+    [UNITS.MEGABYTES]: BYTE * (KIBI ** 2),
+    [UNITS.GIGABYTES]: BYTE * (KIBI ** 3),
+    [UNITS.TERABYTES]: BYTE * (KIBI ** 4)
+  },
+  {
+    [UNITS.BITS_PER_SECOND]: 1,
+    [UNITS.KILOBITS_PER_SECOND]: KILO,
+    [UNITS.MEGABITS_PER_SECOND]: KILO ** 2,
+    [UNITS.GIGABITS_PER_SECOND]: KILO ** 3,
+    [UNITS.TERABITS_PER_SECOND]: KILO ** 4,
+    [UNITS.BYTES_PER_SECOND]: BYTE,
+    [UNITS.KILOBYTES_PER_SECOND]: BYTE * KIBI,
+    [UNITS.MEGABYTES_PER_SECOND]: BYTE * (KIBI ** 2),
+    [UNITS.GIGABYTES_PER_SECOND]: BYTE * (KIBI ** 3),
+    [UNITS.TERABYTES_PER_SECOND]: BYTE * (KIBI ** 4)
+  }
+];
+
+const getFamily = unit => UNIT_FAMILIES.find(family => family[unit] !== undefined);
+
+const isStandardUnit = unit => STANDARD_UNITS.includes(unit);
+
+const getPublishedUnit = unit => PUBLISHED_UNITS[unit] || unit;
+
+const canConvert = (fromUnit, toUnit) => {
+  if (fromUnit === toUnit) {
+    return true;
+  }
+
+  const family = getFamily(fromUnit);
+  return Boolean(family) && family[toUnit] !== undefined;
+};
+
+const convert = (value, fromUnit, toUnit) => {
+  if (fromUnit === toUnit) {
+    return value;
+  }
+  if (!canConvert(fromUnit, toUnit)) {
+    throw new Error(`cannot convert ${fromUnit} to ${toUnit}`);
+  }
+
+  const family = getFamily(fromUnit);
+  return (value * family[fromUnit]) / family[toUnit];
+};
+
+module.exports = {
+  INPUT_UNITS,
+  STANDARD_UNITS,
+  UNITS,
+  canConvert,
+  convert,
+  getPublishedUnit,
+  isStandardUnit
+};
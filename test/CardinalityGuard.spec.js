@@ -0,0 +1,128 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+
+const CardinalityGuard = require('../lib/CardinalityGuard');
+
+describe('CardinalityGuard', function() {
+
+  const TEST_NOW = 1500000000000;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function() {
+    this.nowStub = this.sandbox.stub(Date, 'now').returns(TEST_NOW);
+  });
+
+  afterEach(function(done) {
+    this.sandbox.restore();
+    done();
+  });
+
+  const createGuard = options => new CardinalityGuard(Object.assign({
+    limit: 2,
+    logger: { warn: sinon.spy() }
+  }, options));
+
+  const request = (requestId, operation = 'GetUser') => ({
+    name: 'latency',
+    dimensions: { operation, requestId },
+    value: 1
+  });
+
+  describe('#constructor', function() {
+    it('should throw when limit is missing', function(done) {
+      expect(() => new CardinalityGuard())
+        .to.throw(Error, 'limit must be a positive number');
+      done();
+    });
+  });
+
+  describe('#guard', function() {
+    it('should keep combinations within the limit', function(done) {
+      const guard = createGuard();
+
+      expect(guard.guard(request('1'))).to.deep.equal(request('1'));
+      expect(guard.guard(request('2'))).to.deep.equal(request('2'));
+      expect(guard.guard(request('1'))).to.deep.equal(request('1'));
+      expect(guard.guard({ name: 'requests', value: 1 })).to.deep.equal({ name: 'requests', value: 1 });
+      sinon.assert.notCalled(guard.logger.warn);
+      done();
+    });
+
+    it('should rewrite unknown values once the limit is exceeded', function(done) {
+      const guard = createGuard();
+
+      guard.guard(request('1'));
+      guard.guard(request('2'));
+
+      expect(guard.guard(request('3')).dimensions).to.deep.equal({ operation: 'GetUser', requestId: '__other__' });
+      expect(guard.guard(request('4', 'PutUser')).dimensions)
+        .to.deep.equal({ operation: '__other__', requestId: '__other__' });
+      done();
+    });
+
+    it('should rewrite the dimension with the most values when all values are known', function(done) {
+      const guard = createGuard();
+
+      guard.guard(request('1', 'GetUser'));
+      guard.guard(request('2', 'PutUser'));
+
+      expect(guard.guard(request('1', 'PutUser')).dimensions).to.deep.equal({ operation: '__other__', requestId: '1' });
+      done();
+    });
+
+    it('should track every metric name separately', function(done) {
+      const guard = createGuard({ limit: 1 });
+
+      guard.guard(request('1'));
+
+      expect(guard.guard(Object.assign(request('2'), { name: 'errors' }))).to.deep.equal(Object.assign(request('2'), { name: 'errors' }));
+      done();
+    });
+
+    it('should warn once per metric name', function(done) {
+      const guard = createGuard({ limit: 1 });
+
+      guard.guard(request('1'));
+      guard.guard(request('2'));
+      guard.guard(request('3'));
+
+      sinon.assert.calledOnce(guard.logger.warn);
+      expect(guard.logger.warn.firstCall.args[0]).to.deep.equal({
+        name: 'latency',
+        dimensions: { operation: 'GetUser', requestId: '2' },
+        limit: 1
+      });
+      expect(guard.logger.warn.firstCall.args[1]).to.equal('metric exceeded its dimension cardinality limit');
+      done();
+    });
+
+    it('should forget combinations outside the rolling window', function(done) {
+      const guard = createGuard({ limit: 1, window: 60000 });
+
+      guard.guard(request('1'));
+      this.nowStub.returns(TEST_NOW + 30000);
+      expect(guard.guard(request('2')).dimensions.requestId).to.equal('__other__');
+
+      this.nowStub.returns(TEST_NOW + 60001);
+      expect(guard.guard(request('2')).dimensions.requestId).to.equal('2');
+      done();
+    });
+
+    it('should use the configured overflow value', function(done) {
+      const guard = createGuard({ limit: 1, overflowValue: 'Other' });
+
+      guard.guard(request('1'));
+
+      expect(guard.guard(request('2')).dimensions.requestId).to.equal('Other');
+      done();
+    });
+  });
+});
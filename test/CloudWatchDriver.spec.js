@@ -2,12 +2,17 @@
 
 const BPromise = require('bluebird');
 const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const sinon = require('sinon');
+const uuid = require('uuid');
 
 const { expect } = chai;
 chai.use(require('chai-as-promised'));
 
 const CloudWatchDriver = require('../lib/CloudWatchDriver');
+const DiskSpool = require('../lib/DiskSpool');
 
 describe('cloudwatch-driver', function() {
 
@@ -72,6 +77,31 @@ describe('cloudwatch-driver', function() {
         });
     });
 
+    it('should send storage resolution of high resolution metrics', function() {
+      const rawMetrics = {
+        name: 'metricName',
+        value: 1,
+        storageResolution: 1
+      };
+
+      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: TEST_SERVICE_NAMESPACE,
+              MetricData: [{
+                MetricName: rawMetrics.name,
+                Dimensions: [],
+                Value: rawMetrics.value,
+                StorageResolution: 1
+              }]
+            }
+          );
+        });
+    });
+
     it('should use defaults when parameters are missing', function() {
       const rawMetrics = {
         name: 'metricName',
@@ -96,6 +126,33 @@ describe('cloudwatch-driver', function() {
         });
     });
 
+    it('should send metrics with their own namespace in separate requests', function() {
+      const rawMetrics = [
+        { name: 'metric1', value: 1 },
+        { name: 'metric2', value: 2, namespace: 'other' }
+      ];
+
+      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledTwice(this.cloudwatchPutMetricDataStub);
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: TEST_SERVICE_NAMESPACE,
+              MetricData: [{ MetricName: 'metric1', Dimensions: [], Value: 1 }]
+            }
+          );
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: 'other',
+              MetricData: [{ MetricName: 'metric2', Dimensions: [], Value: 2 }]
+            }
+          );
+        });
+    });
+
     it('should compute StatisticValues when value is an array', function() {
       const rawMetrics = {
         name: 'metricName',
@@ -125,7 +182,113 @@ describe('cloudwatch-driver', function() {
         });
     });
 
+    it('should send distinct values with their counts in Values mode', function() {
+      const valuesDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        aggregation: CloudWatchDriver.AGGREGATIONS.VALUES
+      });
+      const rawMetrics = {
+        name: 'metricName',
+        value: [5, 1, 3, 1, 5, 5]
+      };
+
+      return expect(valuesDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledOnce(this.cloudwatchPutMetricDataStub);
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: TEST_SERVICE_NAMESPACE,
+              MetricData: [{
+                MetricName: rawMetrics.name,
+                Dimensions: [],
+                Values: [1, 3, 5],
+                Counts: [2, 1, 3]
+              }]
+            }
+          );
+        });
+    });
+
+    it('should allow overriding aggregation per metric', function() {
+      const rawMetrics = [
+        {
+          name: 'latency',
+          value: [2, 2, 1],
+          aggregation: CloudWatchDriver.AGGREGATIONS.VALUES
+        },
+        {
+          name: 'size',
+          value: [2, 2, 1]
+        }
+      ];
+
+      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: TEST_SERVICE_NAMESPACE,
+              MetricData: [
+                {
+                  MetricName: 'latency',
+                  Dimensions: [],
+                  Values: [1, 2],
+                  Counts: [1, 2]
+                },
+                {
+                  MetricName: 'size',
+                  Dimensions: [],
+                  StatisticValues: {
+                    Minimum: 1,
+                    Maximum: 2,
+                    SampleCount: 3,
+                    Sum: 5
+                  }
+                }
+              ]
+            }
+          );
+        });
+    });
+
+    it('should split metrics with more than 150 distinct values in Values mode', function() {
+      const values = [];
+      for (let i = 300; i > 0; i--) {
+        values.push(i, i);
+      }
+      const rawMetrics = {
+        name: 'metricName',
+        value: values,
+        aggregation: CloudWatchDriver.AGGREGATIONS.VALUES
+      };
+
+      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledOnce(this.cloudwatchPutMetricDataStub);
+
+          const { MetricData } = this.cloudwatchPutMetricDataStub.firstCall.args[0];
+          expect(MetricData).to.have.lengthOf(2);
+          expect(MetricData[0].Values).to.have.lengthOf(150);
+          expect(MetricData[0].Values[0]).to.equal(1);
+          expect(MetricData[1].Values).to.have.lengthOf(150);
+          expect(MetricData[1].Values[149]).to.equal(300);
+          MetricData.forEach(datum => {
+            expect(datum.Counts.every(count => count === 2)).to.equal(true);
+          });
+        });
+    });
+
     it('should chunk metrics when metrics max count is exceeded', function() {
+      const chunkingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxMetricsPerRequest: 20
+      });
       const rawMetrics = [
         { name: 'metric01', value: 1 },
         { name: 'metric02', value: 2 },
@@ -150,7 +313,7 @@ describe('cloudwatch-driver', function() {
         { name: 'metric21', value: 21 }
       ];
 
-      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+      return expect(chunkingDriver.sendMetrics(rawMetrics))
         .to.eventually.be.fulfilled
         .then(() => {
           sinon.assert.calledTwice(this.cloudwatchPutMetricDataStub);
@@ -181,6 +344,247 @@ describe('cloudwatch-driver', function() {
         });
     });
 
+    it('should resolve with the number of batches and datums sent', function() {
+      const chunkingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxMetricsPerRequest: 2
+      });
+      const rawMetrics = [1, 2, 3].map(value => ({ name: 'metricName', value }));
+
+      return expect(chunkingDriver.sendMetrics(rawMetrics))
+        .to.eventually.deep.equal({ batchCount: 2, datumCount: 3 });
+    });
+
+    it('should retry retryable errors with backoff', function() {
+      const retryingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        retryDelay: 1
+      });
+      const throttlingError = Object.assign(new Error('Rate exceeded'), { code: 'Throttling' });
+      const rawMetrics = {
+        name: 'metricName',
+        value: 12345
+      };
+
+      this.cloudwatchPutMetricDataStub
+        .onFirstCall()
+        .returns({
+          promise() {
+            return BPromise.reject(throttlingError);
+          }
+        });
+
+      const retrySpy = sinon.spy();
+      retryingDriver.on('retry', retrySpy);
+
+      return expect(retryingDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledTwice(this.cloudwatchPutMetricDataStub);
+          sinon.assert.calledOnce(retrySpy);
+          expect(retrySpy.firstCall.args[0]).to.include({ err: throttlingError, attempt: 0 });
+        });
+    });
+
+    it('should give up after maxRetries attempts', function() {
+      const retryingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxRetries: 2,
+        retryDelay: 1
+      });
+      const networkError = Object.assign(new Error('socket hang up'), { code: 'NetworkingError' });
+      const rawMetrics = {
+        name: 'metricName',
+        value: 12345
+      };
+
+      this.cloudwatchPutMetricDataStub
+        .returns({
+          promise() {
+            return BPromise.reject(networkError);
+          }
+        });
+
+      return expect(retryingDriver.sendMetrics(rawMetrics))
+        .to.be.rejectedWith(networkError)
+        .then(() => {
+          sinon.assert.calledThrice(this.cloudwatchPutMetricDataStub);
+        });
+    });
+
+    it('should keep sending remaining batches and report failed metrics', function() {
+      const chunkingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxMetricsPerRequest: 20
+      });
+      const testError = new Error('CloudWatch error');
+      const rawMetrics = [];
+      for (let i = 0; i < 41; i++) {
+        rawMetrics.push({ name: `metric${i}`, value: i });
+      }
+
+      this.cloudwatchPutMetricDataStub
+        .callsFake(metrics => ({
+          promise() {
+            return metrics.MetricData[0].MetricName === 'metric20' ? BPromise.reject(testError) : BPromise.resolve();
+          }
+        }));
+
+      const batchSpy = sinon.spy();
+      const failedSpy = sinon.spy();
+      chunkingDriver
+        .on('batch', batchSpy)
+        .on('failed', failedSpy);
+
+      return expect(chunkingDriver.sendMetrics(rawMetrics))
+        .to.be.rejectedWith(testError)
+        .then(err => {
+          sinon.assert.calledThrice(this.cloudwatchPutMetricDataStub);
+          expect(err.failedMetrics).to.deep.equal(rawMetrics.slice(20, 40));
+          sinon.assert.calledTwice(batchSpy);
+          sinon.assert.calledOnce(failedSpy);
+          expect(failedSpy.firstCall.args[0]).to.equal(testError);
+          expect(failedSpy.firstCall.args[1].rawMetrics).to.deep.equal(rawMetrics.slice(20, 40));
+        });
+    });
+
+    it('should not send invalid metrics', function() {
+      const rawMetrics = [
+        { name: 'metric1', value: 1 },
+        { name: 'metric2', value: NaN },
+        { name: 'metric3', value: 3, dimensions: { host: '' } }
+      ];
+      const onInvalid = sinon.spy();
+      const validatingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        logger: { warn() {} },
+        onInvalid
+      });
+
+      return expect(validatingDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledTwice(onInvalid);
+          sinon.assert.calledWithExactly(
+            this.cloudwatchPutMetricDataStub,
+            {
+              Namespace: TEST_SERVICE_NAMESPACE,
+              MetricData: [{ MetricName: 'metric1', Dimensions: [], Value: 1 }]
+            }
+          );
+        });
+    });
+
+    it('should send valid metrics and reject with the invalid ones when validation policy is throw', function() {
+      const validatingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        logger: { warn() {} },
+        validationPolicy: CloudWatchDriver.VALIDATION_POLICIES.THROW
+      });
+
+      return expect(validatingDriver.sendMetrics([{ name: 'metric1', value: 1 }, { name: 'metric2', value: NaN }]))
+        .to.be.rejectedWith(Error, 'invalid metrics: metric2')
+        .then(err => {
+          expect(err.invalidMetrics).to.have.lengthOf(1);
+          expect(err.failedMetrics).to.deep.equal([]);
+          expect(err.summary).to.deep.equal({ batchCount: 1, datumCount: 1 });
+          sinon.assert.calledOnce(this.cloudwatchPutMetricDataStub);
+          sinon.assert.calledWithMatch(this.cloudwatchPutMetricDataStub, {
+            MetricData: [{ MetricName: 'metric1', Dimensions: [], Value: 1 }]
+          });
+        });
+    });
+
+    it('should send valid metrics with a logger implementing error only', function() {
+      const errorLoggingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        logger: { error: sinon.spy() }
+      });
+
+      return expect(errorLoggingDriver.sendMetrics([{ name: 'metric1', value: 1 }, { name: 'metric2', value: NaN }]))
+        .to.eventually.deep.equal({ batchCount: 1, datumCount: 1 })
+        .then(() => {
+          sinon.assert.calledOnce(this.cloudwatchPutMetricDataStub);
+        });
+    });
+
+    it('should send up to 1000 metrics per request by default', function() {
+      const rawMetrics = [];
+      for (let i = 0; i < 1001; i++) {
+        rawMetrics.push({ name: `metric${i}`, value: i });
+      }
+
+      return expect(cloudwatchDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledTwice(this.cloudwatchPutMetricDataStub);
+          expect(this.cloudwatchPutMetricDataStub.firstCall.args[0].MetricData).to.have.lengthOf(1000);
+          expect(this.cloudwatchPutMetricDataStub.secondCall.args[0].MetricData).to.have.lengthOf(1);
+        });
+    });
+
+    it('should split requests by estimated payload size', function() {
+      const sizeLimitedDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxRequestSize: 10000
+      });
+      const dimensions = {};
+      for (let i = 0; i < 30; i++) {
+        dimensions[`dimension${i}`] = 'x'.repeat(100);
+      }
+      const rawMetrics = [];
+      for (let i = 0; i < 10; i++) {
+        rawMetrics.push({ name: `metric${i}`, value: i, dimensions });
+      }
+
+      return expect(sizeLimitedDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          const requests = this.cloudwatchPutMetricDataStub.args.map(args => args[0]);
+
+          expect(requests.length).to.be.above(1);
+          expect([].concat(...requests.map(request => request.MetricData)).map(datum => datum.MetricName))
+            .to.have.members(rawMetrics.map(rawMetric => rawMetric.name));
+          requests.forEach(request => {
+            expect(sizeLimitedDriver._estimateSize('', request)).to.be.at.most(10000);
+          });
+        });
+    });
+
+    it('should send batches concurrently when configured', function() {
+      const concurrentDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        maxMetricsPerRequest: 1,
+        concurrency: 3
+      });
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      this.cloudwatchPutMetricDataStub.callsFake(() => ({
+        promise() {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          return BPromise.delay(10).then(() => { inFlight--; });
+        }
+      }));
+
+      return expect(concurrentDriver.sendMetrics([1, 2, 3, 4, 5, 6].map(value => ({ name: 'metric', value }))))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.callCount(this.cloudwatchPutMetricDataStub, 6);
+          expect(maxInFlight).to.equal(3);
+        });
+    });
+
     it('should rethrow error returned by CloudWatch', function() {
       const testError = new Error('SQS error');
       const rawMetrics = {
@@ -202,4 +606,123 @@ describe('cloudwatch-driver', function() {
         });
     });
   });
+
+  describe('spool', function() {
+    let spoolPath;
+    let spoolingDriver;
+
+    beforeEach(function() {
+      spoolPath = path.join(os.tmpdir(), `metricologist-${uuid.v4()}.ndjson`);
+      spoolingDriver = new CloudWatchDriver({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: cloudwatchDriver.client,
+        logger: { error: sinon.spy(), warn: sinon.spy() },
+        maxRetries: 0,
+        spool: { path: spoolPath }
+      });
+    });
+
+    afterEach(function() {
+      return BPromise.all([spoolPath, `${spoolPath}.replay`]
+        .map(file => BPromise.fromCallback(callback => fs.unlink(file, callback)).catch(() => {})));
+    });
+
+    const failOnce = stub => stub
+      .onFirstCall()
+      .returns({
+        promise() {
+          return BPromise.reject(new Error('CloudWatch error'));
+        }
+      });
+    const getSentNames = stub => stub.getCalls()
+      .reduce((acc, call) => acc.concat(call.args[0].MetricData.map(datum => datum.MetricName)), []);
+
+    it('should create a disk spool from options', function(done) {
+      expect(spoolingDriver.spool).to.be.an.instanceof(DiskSpool);
+      expect(spoolingDriver.spool).to.include({ path: spoolPath });
+      done();
+    });
+
+    it('should spool undelivered metrics and resolve', function() {
+      failOnce(this.cloudwatchPutMetricDataStub);
+
+      return expect(spoolingDriver.sendMetrics({ name: 'metricName', value: 1 }))
+        .to.eventually.deep.equal({ batchCount: 0, datumCount: 0, spooledCount: 1 })
+        .then(() => spoolingDriver.spool.drain())
+        .then(rawMetrics => {
+          expect(rawMetrics).to.deep.equal([{ name: 'metricName', value: 1 }]);
+        });
+    });
+
+    it('should replay spooled metrics after the next successful send', function() {
+      return spoolingDriver.sendMetrics({ name: 'first', value: 1 })
+        .then(() => {
+          this.cloudwatchPutMetricDataStub.resetHistory();
+          failOnce(this.cloudwatchPutMetricDataStub);
+          return spoolingDriver.sendMetrics({ name: 'failed', value: 2 });
+        })
+        .then(() => spoolingDriver.sendMetrics({ name: 'next', value: 3 }))
+        .then(() => {
+          expect(getSentNames(this.cloudwatchPutMetricDataStub)).to.deep.equal(['failed', 'next', 'failed']);
+          return expect(spoolingDriver.spool.drain()).to.eventually.deep.equal([]);
+        });
+    });
+
+    it('should replay spooled metrics on startup', function() {
+      return spoolingDriver.spool.append({ name: 'spooled', value: 1 })
+        .then(() => {
+          const restartedDriver = new CloudWatchDriver({
+            serviceNamespace: TEST_SERVICE_NAMESPACE,
+            client: cloudwatchDriver.client,
+            logger: spoolingDriver.logger,
+            spool: { path: spoolPath }
+          });
+          return restartedDriver._replaying;
+        })
+        .then(() => {
+          sinon.assert.calledOnce(this.cloudwatchPutMetricDataStub);
+          expect(getSentNames(this.cloudwatchPutMetricDataStub)).to.deep.equal(['spooled']);
+          expect(fs.existsSync(spoolPath)).to.equal(false);
+        });
+    });
+
+    it('should report the metrics the spool drops as dropped', function() {
+      const droppedSpy = sinon.spy();
+      spoolingDriver.spool.maxSize = 10;
+      spoolingDriver.on('dropped', droppedSpy);
+      failOnce(this.cloudwatchPutMetricDataStub);
+
+      return expect(spoolingDriver.sendMetrics({ name: 'metricName', value: 1 }))
+        .to.eventually.deep.equal({ batchCount: 0, datumCount: 0, spooledCount: 0 })
+        .then(() => {
+          sinon.assert.calledWithExactly(droppedSpy, [{ name: 'metricName', value: 1 }], 'maxSpoolSize');
+        });
+    });
+
+    it('should log the metrics the spool drops without dropped listeners', function() {
+      spoolingDriver.spool.maxSize = 10;
+      failOnce(this.cloudwatchPutMetricDataStub);
+
+      return spoolingDriver.sendMetrics({ name: 'metricName', value: 1 })
+        .then(() => {
+          sinon.assert.calledWithMatch(
+            spoolingDriver.logger.warn,
+            { count: 1, reason: 'maxSpoolSize' },
+            'dropping metrics'
+          );
+        });
+    });
+
+    it('should reject when metrics can not be spooled', function() {
+      const testError = new Error('CloudWatch error');
+      this.cloudwatchPutMetricDataStub.returns({ promise: () => BPromise.reject(testError) });
+      this.sandbox.stub(spoolingDriver.spool, 'append').rejects(new Error('disk full'));
+
+      return expect(spoolingDriver.sendMetrics({ name: 'metricName', value: 1 }))
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          sinon.assert.calledWithMatch(spoolingDriver.logger.error, sinon.match.has('err'), 'failed to spool metrics');
+        });
+    });
+  });
 });
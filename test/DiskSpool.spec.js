@@ -0,0 +1,174 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const uuid = require('uuid');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const DiskSpool = require('../lib/DiskSpool');
+
+describe('DiskSpool', function() {
+
+  const TEST_NOW = 1500000000000;
+  const DAY = 24 * 60 * 60 * 1000;
+  let spoolPath;
+  let diskSpool;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function() {
+    this.nowStub = this.sandbox.stub(Date, 'now').returns(TEST_NOW);
+    spoolPath = path.join(os.tmpdir(), `metricologist-${uuid.v4()}.ndjson`);
+    diskSpool = new DiskSpool({ path: spoolPath, logger: { warn: sinon.spy() } });
+  });
+
+  afterEach(function() {
+    this.sandbox.restore();
+    return BPromise.all([spoolPath, `${spoolPath}.replay`]
+      .map(file => BPromise.fromCallback(callback => fs.unlink(file, callback)).catch(() => {})));
+  });
+
+  const readSpool = () => fs.readFileSync(spoolPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  describe('#constructor', function() {
+    it('should throw when path is not passed', function(done) {
+      expect(() => new DiskSpool())
+        .to.throw(Error, 'path is required');
+      done();
+    });
+  });
+
+  describe('#append', function() {
+    it('should append metrics as newline-delimited JSON', function() {
+      const rawMetric = {
+        name: 'latency',
+        value: [1, 2],
+        timestamp: new Date(TEST_NOW)
+      };
+
+      return expect(diskSpool.append(rawMetric))
+        .to.eventually.equal(1)
+        .then(() => diskSpool.append([{ name: 'requests', value: 1 }]))
+        .then(() => {
+          expect(readSpool()).to.deep.equal([
+            { spooledAt: TEST_NOW, metric: Object.assign({}, rawMetric, { timestamp: '2017-07-14T02:40:00.000Z' }) },
+            { spooledAt: TEST_NOW, metric: { name: 'requests', value: 1 } }
+          ]);
+        });
+    });
+
+    it('should drop metrics past maxSize', function() {
+      diskSpool.maxSize = 100;
+
+      return diskSpool.append({ name: 'requests', value: 1 })
+        .then(() => expect(diskSpool.append({ name: 'requests', value: 2 })).to.eventually.equal(0))
+        .then(() => {
+          expect(readSpool()).to.have.lengthOf(1);
+          sinon.assert.calledWithMatch(diskSpool.logger.warn, { count: 1 }, 'spool is full, dropping metrics');
+        });
+    });
+
+    it('should emit dropped instead of logging when there are dropped listeners', function() {
+      const droppedSpy = sinon.spy();
+      diskSpool.maxSize = 100;
+      diskSpool.on('dropped', droppedSpy);
+
+      return diskSpool.append({ name: 'requests', value: 1 })
+        .then(() => diskSpool.append({ name: 'requests', value: 2 }))
+        .then(() => {
+          sinon.assert.calledOnce(droppedSpy);
+          sinon.assert.calledWithExactly(droppedSpy, [{ name: 'requests', value: 2 }], 'maxSpoolSize');
+          sinon.assert.notCalled(diskSpool.logger.warn);
+        });
+    });
+
+    it('should keep the time drained metrics were first spooled at', function() {
+      return diskSpool.append({ name: 'requests', value: 1 })
+        .then(() => {
+          this.nowStub.returns(TEST_NOW + DAY);
+          return diskSpool.drain();
+        })
+        .then(rawMetrics => diskSpool.append(rawMetrics.concat({ name: 'new', value: 2 })))
+        .then(() => {
+          expect(readSpool()).to.deep.equal([
+            { spooledAt: TEST_NOW, metric: { name: 'requests', value: 1 } },
+            { spooledAt: TEST_NOW + DAY, metric: { name: 'new', value: 2 } }
+          ]);
+        });
+    });
+  });
+
+  describe('#drain', function() {
+    it('should resolve with nothing when there is no spool', function() {
+      return expect(diskSpool.drain()).to.eventually.deep.equal([]);
+    });
+
+    it('should read and remove spooled metrics', function() {
+      return diskSpool.append([{ name: 'latency', value: [1], timestamp: new Date(TEST_NOW - DAY) }])
+        .then(() => diskSpool.drain())
+        .then(rawMetrics => {
+          expect(rawMetrics).to.deep.equal([{ name: 'latency', value: [1], timestamp: new Date(TEST_NOW - DAY) }]);
+          expect(fs.existsSync(spoolPath)).to.equal(false);
+          return expect(diskSpool.drain()).to.eventually.deep.equal([]);
+        });
+    });
+
+    it('should drop metrics past maxAge or the CloudWatch timestamp limit', function() {
+      const agingSpool = new DiskSpool({ path: spoolPath, maxAge: DAY, logger: diskSpool.logger });
+
+      return agingSpool.append([
+        { name: 'tooOld', value: 1, timestamp: new Date(TEST_NOW - (15 * DAY)) },
+        { name: 'fresh', value: 1, timestamp: new Date(TEST_NOW) }
+      ])
+        .then(() => {
+          this.nowStub.returns(TEST_NOW + 1000);
+          return agingSpool.append({ name: 'later', value: 1 });
+        })
+        .then(() => {
+          this.nowStub.returns(TEST_NOW + DAY + 500);
+          return agingSpool.drain();
+        })
+        .then(rawMetrics => {
+          expect(rawMetrics).to.deep.equal([{ name: 'later', value: 1 }]);
+          sinon.assert.calledWithMatch(diskSpool.logger.warn, { count: 2 }, 'dropping expired metrics');
+        });
+    });
+
+    it('should emit dropped with the expired metrics when there are dropped listeners', function() {
+      const droppedSpy = sinon.spy();
+      diskSpool.maxAge = DAY;
+      diskSpool.on('dropped', droppedSpy);
+
+      return diskSpool.append({ name: 'expired', value: 1 })
+        .then(() => {
+          this.nowStub.returns(TEST_NOW + DAY + 1);
+          return diskSpool.drain();
+        })
+        .then(rawMetrics => {
+          expect(rawMetrics).to.deep.equal([]);
+          sinon.assert.calledWithExactly(droppedSpy, [{ name: 'expired', value: 1 }], 'maxSpoolAge');
+          sinon.assert.notCalled(diskSpool.logger.warn);
+        });
+    });
+
+    it('should recover replays interrupted by a crash and skip partial lines', function() {
+      fs.writeFileSync(`${spoolPath}.replay`, `${JSON.stringify({ spooledAt: TEST_NOW, metric: { name: 'left', value: 1 } })}\n{"spooledAt`);
+
+      return diskSpool.append({ name: 'new', value: 2 })
+        .then(() => diskSpool.drain())
+        .then(rawMetrics => {
+          expect(rawMetrics.map(rawMetric => rawMetric.name)).to.deep.equal(['left', 'new']);
+          expect(fs.existsSync(`${spoolPath}.replay`)).to.equal(false);
+        });
+    });
+  });
+});
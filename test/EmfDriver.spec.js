@@ -0,0 +1,192 @@
+'use strict';
+
+const chai = require('chai');
+const { Writable } = require('stream');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const EmfDriver = require('../lib/EmfDriver');
+const { UNITS } = require('../lib/CloudWatchDriver');
+
+describe('emf-driver', function() {
+
+  const TEST_SERVICE_NAMESPACE = 'test';
+  let emfDriver;
+  let lines;
+
+  beforeEach(function() {
+    lines = [];
+    emfDriver = new EmfDriver({
+      serviceNamespace: TEST_SERVICE_NAMESPACE,
+      stream: new Writable({
+        write(data, encoding, callback) {
+          lines.push(...data.toString().split('\n').filter(line => line));
+          callback();
+        }
+      })
+    });
+  });
+
+  const getDocuments = () => lines.map(line => JSON.parse(line));
+
+  describe('#constructor', function() {
+    it('should throw when serviceNamespace is not passed', function(done) {
+      expect(() => new EmfDriver())
+        .to.throw(Error, 'serviceNamespace is required');
+      done();
+    });
+
+    it('should write to stdout by default', function(done) {
+      expect(new EmfDriver({ serviceNamespace: TEST_SERVICE_NAMESPACE }))
+        .to.have.property('stream', process.stdout);
+      done();
+    });
+  });
+
+  describe('#sendMetrics', function() {
+
+    it('should write metrics in embedded metric format', function() {
+      const timestamp = new Date();
+      const rawMetrics = {
+        name: 'metricName',
+        dimensions: {
+          dimensionName: 'dimensionValue'
+        },
+        value: 12345,
+        unit: UNITS.COUNT,
+        timestamp
+      };
+
+      return expect(emfDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          expect(getDocuments()).to.deep.equal([{
+            _aws: {
+              Timestamp: timestamp.getTime(),
+              CloudWatchMetrics: [{
+                Namespace: TEST_SERVICE_NAMESPACE,
+                Dimensions: [['dimensionName']],
+                Metrics: [{ Name: 'metricName', Unit: 'Count' }]
+              }]
+            },
+            dimensionName: 'dimensionValue',
+            metricName: 12345
+          }]);
+        });
+    });
+
+    it('should group metrics sharing dimensions and timestamp into one document', function() {
+      const timestamp = new Date();
+      const rawMetrics = [
+        {
+          name: 'count', dimensions: { a: '1', b: '2' }, value: [1, 1], timestamp
+        },
+        {
+          name: 'latency', dimensions: { b: '2', a: '1' }, value: [10, 20], timestamp
+        },
+        {
+          name: 'count', dimensions: { a: '2', b: '2' }, value: [1], timestamp
+        }
+      ];
+
+      return expect(emfDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          const documents = getDocuments();
+          expect(documents).to.have.lengthOf(2);
+          expect(documents[0]._aws.CloudWatchMetrics[0].Metrics)
+            .to.deep.equal([{ Name: 'count' }, { Name: 'latency' }]);
+          expect(documents[0]).to.include({ a: '1', b: '2' });
+          expect(documents[0].count).to.deep.equal([1, 1]);
+          expect(documents[0].latency).to.deep.equal([10, 20]);
+          expect(documents[1]).to.include({ a: '2', b: '2' });
+          expect(documents[1].count).to.deep.equal([1]);
+        });
+    });
+
+    it('should use metric namespace when present', function() {
+      const timestamp = new Date();
+      const rawMetrics = [
+        { name: 'metric1', value: 1, timestamp },
+        {
+          name: 'metric2', value: 2, timestamp, namespace: 'other'
+        }
+      ];
+
+      return expect(emfDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          expect(getDocuments().map(document => document._aws.CloudWatchMetrics[0].Namespace))
+            .to.deep.equal([TEST_SERVICE_NAMESPACE, 'other']);
+        });
+    });
+
+    it('should include storage resolution in metric definitions', function() {
+      return expect(emfDriver.sendMetrics({ name: 'metricName', value: 1, storageResolution: 1 }))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          expect(getDocuments()[0]._aws.CloudWatchMetrics[0].Metrics)
+            .to.deep.equal([{ Name: 'metricName', StorageResolution: 1 }]);
+        });
+    });
+
+    it('should include configured properties', function() {
+      emfDriver.properties = { service: 'test-service' };
+
+      return expect(emfDriver.sendMetrics({ name: 'metricName', value: 1 }))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          const [document] = getDocuments();
+          expect(document).to.include({ service: 'test-service', metricName: 1 });
+          expect(document._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([[]]);
+        });
+    });
+
+    it('should split metrics when more than 100 metrics share a document', function() {
+      const timestamp = new Date();
+      const rawMetrics = [];
+      for (let i = 0; i < 101; i++) {
+        rawMetrics.push({ name: `metric${i}`, value: i, timestamp });
+      }
+
+      return expect(emfDriver.sendMetrics(rawMetrics))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          const documents = getDocuments();
+          expect(documents).to.have.lengthOf(2);
+          expect(documents[0]._aws.CloudWatchMetrics[0].Metrics).to.have.lengthOf(100);
+          expect(documents[1]._aws.CloudWatchMetrics[0].Metrics).to.deep.equal([{ Name: 'metric100' }]);
+          expect(documents[1]).to.include({ metric100: 100 });
+        });
+    });
+
+    it('should split metrics with more than 100 values', function() {
+      const values = [];
+      for (let i = 0; i < 250; i++) {
+        values.push(i);
+      }
+
+      return expect(emfDriver.sendMetrics({ name: 'metricName', value: values, timestamp: new Date() }))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          const documents = getDocuments();
+          expect(documents.map(document => document.metricName.length)).to.deep.equal([100, 100, 50]);
+          expect([].concat(...documents.map(document => document.metricName))).to.deep.equal(values);
+        });
+    });
+
+    it('should reject when writing to the stream fails', function() {
+      const testError = new Error('stream error');
+      emfDriver.stream = new Writable({
+        write(data, encoding, callback) {
+          callback(testError);
+        }
+      });
+      emfDriver.stream.on('error', () => {});
+
+      return expect(emfDriver.sendMetrics({ name: 'metricName', value: 1 }))
+        .to.be.rejectedWith(Error, testError.message);
+    });
+  });
+});
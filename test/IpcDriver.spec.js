@@ -0,0 +1,135 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+const { MessageChannel } = require('worker_threads');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const IpcDriver = require('../lib/IpcDriver');
+const MemoryDriver = require('../lib/MemoryDriver');
+
+describe('ipc-driver', function() {
+
+  const rawMetrics = [{
+    name: 'RequestCount',
+    dimensions: { Operation: 'GetUser' },
+    type: 'counter',
+    value: 2
+  }];
+
+  let channel;
+  let fallback;
+  let logger;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function(done) {
+    channel = Object.assign(new EventEmitter(), {
+      connected: true,
+      send: this.sandbox.stub().yields(null)
+    });
+    fallback = new MemoryDriver();
+    logger = { error: this.sandbox.spy(), warn: this.sandbox.spy() };
+    done();
+  });
+
+  afterEach(function(done) {
+    this.sandbox.restore();
+    done();
+  });
+
+  describe('#constructor', function() {
+    it('should throw when the channel can not send messages', function(done) {
+      expect(() => new IpcDriver({ channel: {} }))
+        .to.throw(Error, 'channel must implement send or postMessage');
+      done();
+    });
+
+    it('should throw when the fallback does not implement sendMetrics', function(done) {
+      expect(() => new IpcDriver({ channel, fallback: {} }))
+        .to.throw(Error, 'fallback must implement sendMetrics');
+      done();
+    });
+  });
+
+  describe('#sendMetrics', function() {
+    it('should send metrics to the primary process', function() {
+      const ipcDriver = new IpcDriver({ channel, fallback, logger });
+
+      return expect(ipcDriver.sendMetrics(rawMetrics))
+        .to.eventually.deep.equal({ batchCount: 1, datumCount: 1 })
+        .then(() => {
+          sinon.assert.calledOnce(channel.send);
+          sinon.assert.calledWith(channel.send, { type: IpcDriver.MESSAGE_TYPE, metrics: rawMetrics });
+          expect(fallback.metrics).to.deep.equal([]);
+        });
+    });
+
+    it('should post metrics to a message port', function() {
+      const { port1, port2 } = new MessageChannel();
+      const ipcDriver = new IpcDriver({ channel: port1, fallback, logger });
+      const received = new BPromise(resolve => port2.once('message', resolve));
+
+      return ipcDriver.sendMetrics(rawMetrics)
+        .then(() => received)
+        .then(message => {
+          expect(message).to.deep.equal({ type: IpcDriver.MESSAGE_TYPE, metrics: rawMetrics });
+        })
+        .finally(() => port1.close());
+    });
+
+    it('should send metrics with the fallback driver once the primary process disconnected', function() {
+      const ipcDriver = new IpcDriver({ channel, fallback, logger });
+      channel.connected = false;
+
+      return ipcDriver.sendMetrics(rawMetrics)
+        .then(() => ipcDriver.sendMetrics(rawMetrics))
+        .then(() => {
+          sinon.assert.notCalled(channel.send);
+          expect(fallback.sum('RequestCount')).to.equal(4);
+          sinon.assert.calledOnce(logger.warn);
+        });
+    });
+
+    it('should send metrics with the fallback driver once the message port closed', function() {
+      const { port1, port2 } = new MessageChannel();
+      const ipcDriver = new IpcDriver({ channel: port1, fallback, logger });
+      const closed = new BPromise(resolve => port1.once('close', resolve));
+      port2.close();
+
+      return closed
+        .then(() => ipcDriver.sendMetrics(rawMetrics))
+        .then(() => {
+          expect(fallback.sum('RequestCount')).to.equal(2);
+        });
+    });
+
+    it('should send metrics with the fallback driver when forwarding them fails', function() {
+      const ipcDriver = new IpcDriver({ channel, fallback, logger });
+      channel.send.yields(new Error('channel closed'));
+
+      return ipcDriver.sendMetrics(rawMetrics)
+        .then(() => ipcDriver.sendMetrics(rawMetrics))
+        .then(() => {
+          sinon.assert.calledOnce(channel.send);
+          sinon.assert.calledWithMatch(logger.error, sinon.match.has('err'), 'failed to forward metrics to the primary process');
+          expect(fallback.sum('RequestCount')).to.equal(4);
+        });
+    });
+
+    it('should reject when the primary process disconnected and there is no fallback', function() {
+      const ipcDriver = new IpcDriver({ channel, logger });
+      channel.connected = false;
+
+      return expect(ipcDriver.sendMetrics(rawMetrics))
+        .to.be.rejectedWith(Error, 'primary process is not reachable');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const chai = require('chai');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricCollector = require('../lib/MetricCollector');
+
+describe('memory-driver', function() {
+
+  let memoryDriver;
+
+  beforeEach(function() {
+    memoryDriver = new MemoryDriver();
+    return memoryDriver.sendMetrics([
+      { name: 'Latency', dimensions: { Operation: 'GetUser', Stage: 'prod' }, value: [10, 20] },
+      { name: 'Latency', dimensions: { Operation: 'PutUser', Stage: 'prod' }, value: [30] },
+      { name: 'RequestCount', dimensions: { Operation: 'GetUser' }, value: 2 },
+      { name: 'RequestCount', dimensions: { Operation: 'GetUser' }, value: 3 }
+    ]);
+  });
+
+  describe('#sendMetrics', function() {
+    it('should record copies of the metrics', function() {
+      const rawMetric = { name: 'QueueDepth', dimensions: { Queue: 'jobs' }, value: [1] };
+
+      return expect(memoryDriver.sendMetrics(rawMetric))
+        .to.eventually.be.fulfilled
+        .then(() => {
+          rawMetric.dimensions.Queue = 'other';
+          rawMetric.value.push(2);
+          expect(memoryDriver.find('QueueDepth')).to.deep.equal([
+            { name: 'QueueDepth', dimensions: { Queue: 'jobs' }, value: [1] }
+          ]);
+        });
+    });
+  });
+
+  describe('#find', function() {
+    it('should find metrics by name and a subset of their dimensions', function(done) {
+      expect(memoryDriver.find('Latency')).to.have.lengthOf(2);
+      expect(memoryDriver.find('Latency', { Operation: 'GetUser' })).to.deep.equal([
+        { name: 'Latency', dimensions: { Operation: 'GetUser', Stage: 'prod' }, value: [10, 20] }
+      ]);
+      expect(memoryDriver.find('Latency', { Operation: 'DeleteUser' })).to.deep.equal([]);
+      expect(memoryDriver.find('Errors')).to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('#values', function() {
+    it('should return the values of matching metrics', function(done) {
+      expect(memoryDriver.values('Latency', { Stage: 'prod' })).to.deep.equal([10, 20, 30]);
+      expect(memoryDriver.values('RequestCount')).to.deep.equal([2, 3]);
+      done();
+    });
+  });
+
+  describe('#sum', function() {
+    it('should sum the values of matching metrics', function(done) {
+      expect(memoryDriver.sum('RequestCount', { Operation: 'GetUser' })).to.equal(5);
+      expect(memoryDriver.sum('Errors')).to.equal(0);
+      done();
+    });
+  });
+
+  describe('#count', function() {
+    it('should count the values of matching metrics', function(done) {
+      expect(memoryDriver.count('Latency')).to.equal(3);
+      expect(memoryDriver.count('Latency', { Operation: 'PutUser' })).to.equal(1);
+      done();
+    });
+  });
+
+  describe('#reset', function() {
+    it('should forget every recorded metric', function(done) {
+      expect(memoryDriver.reset()).to.equal(memoryDriver);
+      expect(memoryDriver.metrics).to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('#flushSync', function() {
+    it('should move the metrics buffered by a collector into the driver', function(done) {
+      const metricCollector = new MetricCollector({ driver: memoryDriver.reset() });
+
+      metricCollector
+        .timing('Latency', 12, { Operation: 'GetUser' })
+        .increment('RequestCount', 1, { Operation: 'GetUser' });
+
+      expect(memoryDriver.flushSync(metricCollector)).to.equal(memoryDriver);
+      expect(memoryDriver.values('Latency', { Operation: 'GetUser' })).to.deep.equal([12]);
+      expect(memoryDriver.sum('RequestCount')).to.equal(1);
+      expect(metricCollector.getMetrics()).to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('as a collector driver', function() {
+    it('should record flushed metrics', function() {
+      const metricCollector = new MetricCollector({ driver: memoryDriver.reset() });
+
+      metricCollector.increment('RequestCount', 1, { Operation: 'GetUser' });
+
+      return metricCollector.flush()
+        .then(() => {
+          expect(memoryDriver.count('RequestCount', { Operation: 'GetUser' })).to.equal(1);
+        });
+    });
+  });
+});
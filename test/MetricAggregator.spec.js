@@ -0,0 +1,157 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const EventEmitter = require('events');
+const sinon = require('sinon');
+const { MessageChannel } = require('worker_threads');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const IpcDriver = require('../lib/IpcDriver');
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricAggregator = require('../lib/MetricAggregator');
+const MetricCollector = require('../lib/MetricCollector');
+
+describe('metric-aggregator', function() {
+
+  let memoryDriver;
+  let collector;
+  let aggregator;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function(done) {
+    memoryDriver = new MemoryDriver();
+    collector = new MetricCollector({ driver: memoryDriver });
+    aggregator = new MetricAggregator(collector, { logger: { warn: this.sandbox.spy() } });
+    done();
+  });
+
+  afterEach(function(done) {
+    this.sandbox.restore();
+    done();
+  });
+
+  const forward = (channel, metrics) => channel.emit('message', { type: IpcDriver.MESSAGE_TYPE, metrics });
+  const createMetric = (name, type, value, timestamp) => ({
+    name,
+    dimensions: {},
+    type,
+    value,
+    timestamp
+  });
+
+  describe('#constructor', function() {
+    it('should throw when the collector can not merge metrics', function(done) {
+      expect(() => new MetricAggregator({}))
+        .to.throw(Error, 'collector must implement mergeMetrics');
+      done();
+    });
+  });
+
+  describe('#attach', function() {
+    it('should merge the metrics of every worker into the collector', function(done) {
+      const timestamp = new Date(1500000000000);
+      const workers = [new EventEmitter(), new EventEmitter()];
+      workers.forEach(worker => aggregator.attach(worker));
+
+      forward(workers[0], [
+        createMetric('RequestCount', 'counter', 2, timestamp),
+        createMetric('QueueDepth', 'gauge', 5, timestamp),
+        createMetric('Latency', 'timer', [10, 20], timestamp)
+      ]);
+      forward(workers[1], [
+        createMetric('RequestCount', 'counter', 3, timestamp.toISOString()),
+        createMetric('QueueDepth', 'gauge', 7, timestamp.toISOString()),
+        createMetric('Latency', 'timer', [30], timestamp.toISOString())
+      ]);
+
+      expect(collector.getMetrics()).to.deep.equal([
+        createMetric('RequestCount', 'counter', 5, timestamp),
+        createMetric('QueueDepth', 'gauge', 7, timestamp),
+        createMetric('Latency', 'timer', [10, 20, 30], timestamp)
+      ]);
+      done();
+    });
+
+    it('should ignore other messages', function(done) {
+      const worker = new EventEmitter();
+      aggregator.attach(worker);
+
+      worker.emit('message', 'ready');
+      worker.emit('message', { type: 'other', metrics: [{ name: 'RequestCount', value: 1 }] });
+
+      expect(collector.getMetrics()).to.deep.equal([]);
+      done();
+    });
+
+    it('should log invalid metrics', function(done) {
+      const worker = new EventEmitter();
+      aggregator.attach(worker);
+
+      forward(worker, null);
+
+      sinon.assert.calledWithMatch(aggregator.logger.warn, sinon.match.has('err'), 'ignoring invalid metrics forwarded by a worker');
+      done();
+    });
+
+    it('should detach workers when they exit', function(done) {
+      const worker = new EventEmitter();
+      aggregator.attach(worker).attach(worker);
+
+      expect(worker.listenerCount('message')).to.equal(1);
+      worker.emit('exit', 0);
+      expect(worker.listenerCount('message')).to.equal(0);
+      expect(worker.listenerCount('exit')).to.equal(0);
+      done();
+    });
+
+    it('should flush the metrics forwarded through a message port once', function() {
+      const { port1, port2 } = new MessageChannel();
+      const workerCollector = new MetricCollector({ driver: new IpcDriver({ channel: port1 }) });
+      const received = new BPromise(resolve => port2.once('message', () => setImmediate(resolve)));
+      aggregator.attach(port2);
+
+      return workerCollector
+        .increment('RequestCount', 2)
+        .timing('Latency', 10)
+        .flush()
+        .then(() => received)
+        .then(() => collector.increment('RequestCount', 1).flush())
+        .then(() => {
+          expect(memoryDriver.sum('RequestCount')).to.equal(3);
+          expect(memoryDriver.values('Latency')).to.deep.equal([10]);
+        })
+        .finally(() => port1.close());
+    });
+  });
+
+  describe('#attachCluster', function() {
+    it('should attach current and forked workers', function(done) {
+      const cluster = Object.assign(new EventEmitter(), { workers: { 1: new EventEmitter() } });
+      const forkedWorker = new EventEmitter();
+
+      const stop = aggregator.attachCluster(cluster);
+      cluster.emit('fork', forkedWorker);
+      stop();
+      cluster.emit('fork', new EventEmitter());
+
+      forward(cluster.workers[1], [{ name: 'RequestCount', type: 'counter', value: 1 }]);
+      forward(forkedWorker, [{ name: 'RequestCount', type: 'counter', value: 2 }]);
+
+      expect(collector.getMetrics()).to.deep.equal([{
+        name: 'RequestCount',
+        dimensions: {},
+        type: 'counter',
+        value: 3
+      }]);
+      expect(cluster.listenerCount('fork')).to.equal(0);
+      done();
+    });
+  });
+});
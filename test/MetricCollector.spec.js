@@ -2,6 +2,7 @@
 
 const BPromise = require('bluebird');
 const chai = require('chai');
+const EventEmitter = require('events');
 const uuid = require('uuid');
 const sinon = require('sinon');
 
@@ -9,17 +10,25 @@ const { expect } = chai;
 chai.use(require('chai-as-promised'));
 chai.use(require('chai-subset'));
 
+const EmfDriver = require('../lib/EmfDriver');
+const MemoryDriver = require('../lib/MemoryDriver');
 const MetricCollector = require('../lib/MetricCollector');
 
 describe('MetricCollector', function() {
 
   const TEST_SERVICE_NAMESPACE = 'test';
+  const TEST_NOW = 1500000030000;
+  const TEST_TIMESTAMP = new Date(1500000000000);
 
   before(function(done) {
     this.sandbox = sinon.sandbox.create();
     done();
   });
 
+  beforeEach(function() {
+    this.nowStub = this.sandbox.stub(Date, 'now').returns(TEST_NOW);
+  });
+
   afterEach(function(done) {
     this.sandbox.restore();
     done();
@@ -47,6 +56,52 @@ describe('MetricCollector', function() {
       done();
     });
 
+    it('should pass aggregation option to CloudWatch driver', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        aggregation: MetricCollector.AGGREGATIONS.VALUES
+      });
+
+      expect(metricCollector.drivers[0].aggregation)
+        .to.equal(MetricCollector.AGGREGATIONS.VALUES);
+      done();
+    });
+
+    it('should use provided driver instead of CloudWatch driver', function(done) {
+      const driver = new EmfDriver({ serviceNamespace: TEST_SERVICE_NAMESPACE });
+      const metricCollector = new MetricCollector({ driver });
+
+      expect(metricCollector.drivers).to.deep.equal([driver]);
+      done();
+    });
+
+    it('should expose the CloudWatch driver among its drivers', function(done) {
+      const metricCollector = new MetricCollector({ serviceNamespace: TEST_SERVICE_NAMESPACE });
+      const emfCollector = new MetricCollector({ driver: new EmfDriver({ serviceNamespace: TEST_SERVICE_NAMESPACE }) });
+
+      expect(metricCollector.cloudwatchDriver).to.equal(metricCollector.drivers[0]);
+      expect(emfCollector.cloudwatchDriver).to.equal(undefined);
+      done();
+    });
+
+    it('should throw when driver does not implement sendMetrics', function(done) {
+      expect(() => new MetricCollector({ driver: [{ sendMetrics() {} }, {}] }))
+        .to.throw(Error, 'driver must implement sendMetrics');
+      done();
+    });
+
+    it('should throw when highResolutionPeriod is not supported by CloudWatch', function(done) {
+      expect(() => new MetricCollector({ serviceNamespace: TEST_SERVICE_NAMESPACE, highResolutionPeriod: 2000 }))
+        .to.throw(Error, 'highResolutionPeriod must be one of 1000, 5000, 10000, 30000');
+      done();
+    });
+
+    it('should throw when aggregationPeriod is not a multiple of a minute', function(done) {
+      expect(() => new MetricCollector({ serviceNamespace: TEST_SERVICE_NAMESPACE, aggregationPeriod: 30000 }))
+        .to.throw(Error, 'aggregationPeriod must be a multiple of 60000');
+      done();
+    });
+
     it('should use defaults for missing config options', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE
@@ -99,22 +154,56 @@ describe('MetricCollector', function() {
   });
 
   describe('#_getMetricKey', function() {
-    it('should properly format metric key', function(done) {
+    it('should not depend on dimensions order', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE
       });
-      const metricData = {
+      const tenantId = uuid.v4();
+
+      expect(metricCollector._getMetricKey({
         name: 'eventCount',
-        dimensions: {
-          eventName: 'AttributeEvent',
-          tenantId: uuid.v4()
-        }
-      };
+        dimensions: { eventName: 'AttributeEvent', tenantId }
+      }))
+        .to.equal(metricCollector._getMetricKey({
+          name: 'eventCount',
+          dimensions: { tenantId, eventName: 'AttributeEvent' }
+        }));
+      done();
+    });
+
+    it('should include dimension names', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(metricCollector._getMetricKey({ name: 'requestCount', dimensions: { host: 'a', az: 'b' } }))
+        .not.to.equal(metricCollector._getMetricKey({ name: 'requestCount', dimensions: { az: 'a', host: 'b' } }));
+      done();
+    });
+
+    it('should include namespace, unit and storage resolution', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const metricData = { name: 'latency', dimensions: {} };
+      const keys = [
+        metricData,
+        Object.assign({}, metricData, { namespace: 'other' }),
+        Object.assign({}, metricData, { unit: MetricCollector.UNITS.MILLIS }),
+        Object.assign({}, metricData, { storageResolution: 1 })
+      ].map(data => metricCollector._getMetricKey(data));
+
+      expect(new Set(keys).size).to.equal(keys.length);
+      done();
+    });
 
-      const metricKey = metricCollector._getMetricKey(metricData);
+    it('should support metrics without dimensions', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
 
-      expect(metricKey)
-        .to.equal(`${metricData.name}:${metricData.dimensions.eventName}:${metricData.dimensions.tenantId}`);
+      expect(metricCollector._getMetricKey({ name: 'eventCount' }))
+        .to.equal(metricCollector._getMetricKey({ name: 'eventCount', dimensions: {} }));
       done();
     });
   });
@@ -141,7 +230,8 @@ describe('MetricCollector', function() {
           name: metricsData.name,
           dimensions: metricsData.dimensions,
           value: [metricsData.value],
-          units: metricsData.units
+          units: metricsData.units,
+          timestamp: TEST_TIMESTAMP
         }]);
       done();
     });
@@ -178,13 +268,15 @@ describe('MetricCollector', function() {
             name: metricsData[0].name,
             dimensions: metricsData[0].dimensions,
             value: [metricsData[0].value],
-            units: metricsData[0].units
+            units: metricsData[0].units,
+            timestamp: TEST_TIMESTAMP
           },
           {
             name: metricsData[1].name,
             dimensions: metricsData[1].dimensions,
             value: [metricsData[1].value],
-            units: metricsData[1].units
+            units: metricsData[1].units,
+            timestamp: TEST_TIMESTAMP
           }
         ]);
       done();
@@ -222,227 +314,1884 @@ describe('MetricCollector', function() {
           name: metricsData[0].name,
           dimensions: metricsData[0].dimensions,
           value: [metricsData[0].value, metricsData[1].value],
-          units: metricsData[0].units
+          units: metricsData[0].units,
+          timestamp: TEST_TIMESTAMP
         }]);
       done();
     });
 
-    it('should return instance as a result value', function(done) {
+    it('should keep metrics with different units apart and report the mismatch', function(done) {
       const metricCollector = new MetricCollector({
-        serviceNamespace: TEST_SERVICE_NAMESPACE
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() }
       });
-      const metricsData = {
-        name: 'eventCount',
-        dimensions: {
-          eventName: 'AttributeEvent'
-        },
-        value: 1,
-        units: MetricCollector.UNITS.COUNT
-      };
 
-      expect(metricCollector.addMetrics(metricsData))
-        .to.deep.equal(metricCollector);
+      metricCollector
+        .addMetrics({ name: 'latency', value: 1, unit: MetricCollector.UNITS.MILLIS })
+        .addMetrics({ name: 'latency', value: 2, unit: MetricCollector.UNITS.MILLIS })
+        .addMetrics({ name: 'latency', value: 3, unit: MetricCollector.UNITS.COUNT });
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'latency', dimensions: {}, value: [1, 2], unit: MetricCollector.UNITS.MILLIS, timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'latency', dimensions: {}, value: [3], unit: MetricCollector.UNITS.COUNT, timestamp: TEST_TIMESTAMP
+          }
+        ]);
+      sinon.assert.calledOnce(metricCollector.logger.warn);
+      expect(metricCollector.logger.warn.firstCall.args[0])
+        .to.include({ unit: MetricCollector.UNITS.COUNT, firstSeenUnit: MetricCollector.UNITS.MILLIS });
       done();
     });
-  });
 
-  describe('#getMetrics', function() {
-    it('should return accumulated metrics as an array', function(done) {
+    it('should convert values to the first seen unit of the series', function(done) {
       const metricCollector = new MetricCollector({
-        serviceNamespace: TEST_SERVICE_NAMESPACE
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() }
       });
-      const metricsData = {
-        name: 'eventCount',
-        dimensions: {
-          eventName: 'AttributeEvent'
-        },
-        value: 1,
-        units: MetricCollector.UNITS.COUNT
-      };
 
-      metricCollector.addMetrics(metricsData);
+      metricCollector
+        .addMetrics({ name: 'latency', value: 1, unit: MetricCollector.UNITS.MILLIS })
+        .addMetrics({ name: 'latency', value: 2, unit: MetricCollector.UNITS.SECONDS })
+        .addMetrics({ name: 'latency', value: 500, unit: MetricCollector.UNITS.MICROS });
 
       expect(metricCollector.getMetrics())
         .to.deep.equal([{
-          name: metricsData.name,
-          dimensions: metricsData.dimensions,
-          value: [metricsData.value],
-          units: metricsData.units
+          name: 'latency', dimensions: {}, value: [1, 2000, 0.5], unit: MetricCollector.UNITS.MILLIS, timestamp: TEST_TIMESTAMP
         }]);
+      sinon.assert.notCalled(metricCollector.logger.warn);
       done();
     });
 
-    it('should return empty array when there are no metrics accumulated', function(done) {
+    it('should keep converting values to the first seen unit of the series after a flush', function() {
       const metricCollector = new MetricCollector({
-        serviceNamespace: TEST_SERVICE_NAMESPACE
+        driver: new MemoryDriver(),
+        logger: { warn: sinon.spy() }
+      });
+
+      metricCollector.addMetrics({ name: 'latency', value: 2, unit: MetricCollector.UNITS.SECONDS });
+
+      return metricCollector.flush()
+        .then(() => {
+          metricCollector.addMetrics({ name: 'latency', value: 500, unit: MetricCollector.UNITS.MILLIS });
+          return metricCollector.flush();
+        })
+        .then(() => {
+          expect(metricCollector.drivers[0].metrics.map(({ unit, value }) => ({ unit, value }))).to.deep.equal([
+            { unit: MetricCollector.UNITS.SECONDS, value: [2] },
+            { unit: MetricCollector.UNITS.SECONDS, value: [0.5] }
+          ]);
+        });
+    });
+
+    it('should forget the first seen unit of the oldest series beyond maxSeries', function(done) {
+      const metricCollector = new MetricCollector({
+        driver: new MemoryDriver(),
+        maxSeries: 2
+      });
+
+      metricCollector
+        .addMetrics({ name: 'first', value: 1, unit: MetricCollector.UNITS.SECONDS })
+        .clearMetrics()
+        .addMetrics({ name: 'second', value: 1, unit: MetricCollector.UNITS.SECONDS })
+        .addMetrics({ name: 'third', value: 1, unit: MetricCollector.UNITS.SECONDS })
+        .clearMetrics()
+        .addMetrics({ name: 'first', value: 1, unit: MetricCollector.UNITS.MILLIS });
+
+      expect(metricCollector.getMetrics()[0]).to.include({ unit: MetricCollector.UNITS.MILLIS });
+      expect(metricCollector._seriesUnits.size).to.equal(2);
+      done();
+    });
+
+    it('should convert values to the declared unit of the metric', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        units: { latency: MetricCollector.UNITS.MILLIS, payloadSize: MetricCollector.UNITS.KILOBYTES }
       });
 
+      metricCollector
+        .addMetrics({ name: 'latency', value: 1500000, unit: MetricCollector.INPUT_UNITS.NANOS })
+        .addMetrics({ name: 'payloadSize', value: 512, unit: MetricCollector.UNITS.BYTES })
+        .addMetrics({ name: 'payloadSize', value: 2, unit: MetricCollector.UNITS.KILOBYTES });
+
       expect(metricCollector.getMetrics())
-        .to.deep.equal([]);
+        .to.deep.equal([
+          {
+            name: 'latency', dimensions: {}, value: [1.5], unit: MetricCollector.UNITS.MILLIS, timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'payloadSize', dimensions: {}, value: [0.5, 2], unit: MetricCollector.UNITS.KILOBYTES, timestamp: TEST_TIMESTAMP
+          }
+        ]);
       done();
     });
-  });
 
-  describe('#clearMetrics', function() {
-    it('should clear accumulated metrics', function(done) {
+    it('should publish input units in a standard unit', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE
       });
-      const metricsData = {
-        name: 'eventCount',
-        dimensions: {
-          eventName: 'AttributeEvent'
-        },
-        value: 1,
-        units: MetricCollector.UNITS.COUNT
-      };
 
-      const result = metricCollector
-        .addMetrics(metricsData)
-        .clearMetrics();
+      metricCollector.addMetrics({ name: 'latency', value: 2500, unit: MetricCollector.INPUT_UNITS.NANOS });
 
-      expect(result).to.deep.equal(metricCollector);
-      expect(metricCollector.getMetrics()).to.deep.equal([]);
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: 'latency', dimensions: {}, value: [2.5], unit: MetricCollector.UNITS.MICROS, timestamp: TEST_TIMESTAMP
+        }]);
       done();
     });
-  });
 
-  describe('#stop', function() {
-    it('should do nothing if stopped already', function() {
+    it('should keep the recorded unit when it cannot be converted to the declared unit', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: false
+        logger: { warn: sinon.spy() },
+        units: { latency: MetricCollector.UNITS.MILLIS }
       });
 
-      const flushSpy = this.sandbox.spy(metricCollector, 'flush');
+      metricCollector.addMetrics({ name: 'latency', value: 3, unit: MetricCollector.UNITS.COUNT });
 
-      return expect(metricCollector.stop())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          sinon.assert.notCalled(flushSpy);
-        });
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: 'latency', dimensions: {}, value: [3], unit: MetricCollector.UNITS.COUNT, timestamp: TEST_TIMESTAMP
+        }]);
+      done();
     });
 
-    it('should stop timer and flush metrics', function() {
+    it('should rewrite dimension values beyond the cardinality limit', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: true
+        logger: { warn: sinon.spy() },
+        defaultDimensions: { service: 'users' },
+        maxCardinality: 1
       });
 
-      const flushSpy = this.sandbox.spy(metricCollector, 'flush');
+      metricCollector
+        .increment('requests', 1, { requestId: '1' })
+        .increment('requests', 1, { requestId: '2' })
+        .increment('requests', 1, { requestId: '3' });
 
-      return expect(metricCollector.stop())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          expect(metricCollector._stopped).to.equal(true);
-          sinon.assert.calledOnce(flushSpy);
-        });
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'requests',
+            dimensions: { service: 'users', requestId: '1' },
+            value: 1,
+            unit: MetricCollector.UNITS.COUNT,
+            type: MetricCollector.METRIC_TYPES.COUNTER,
+            timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'requests',
+            dimensions: { service: 'users', requestId: '__other__' },
+            value: 2,
+            unit: MetricCollector.UNITS.COUNT,
+            type: MetricCollector.METRIC_TYPES.COUNTER,
+            timestamp: TEST_TIMESTAMP
+          }
+        ]);
+      sinon.assert.calledOnce(metricCollector.logger.warn);
+      done();
     });
-  });
 
-  describe('#flush', function() {
-    it('should not setup flush timer when not in auto mode', function() {
+    it('should throw when metric type is unknown', function(done) {
       const metricCollector = new MetricCollector({
-        serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: false
+        serviceNamespace: TEST_SERVICE_NAMESPACE
       });
 
-      const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
-
-      return expect(metricCollector.flush())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          sinon.assert.notCalled(setupFlushTimerSpy);
-        });
+      expect(() => metricCollector.addMetrics({ name: 'eventCount', value: 1, type: 'set' }))
+        .to.throw(Error, 'unknown metric type set');
+      done();
     });
 
-    it('should not setup flush timer when stopped', function() {
+    it('should merge default dimensions into every metric', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: true
+        defaultDimensions: { service: 'users', stage: 'prod' }
       });
 
-      return metricCollector.stop()
-        .then(() => {
-          const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
-          return expect(metricCollector.flush())
-            .to.eventually.be.fulfilled
-            .then(() => {
-              sinon.assert.notCalled(setupFlushTimerSpy);
-            });
-        });
+      metricCollector.addMetrics([
+        { name: 'eventCount', value: 1 },
+        { name: 'eventCount', dimensions: { stage: 'dev' }, value: 1 }
+      ]);
+
+      expect(metricCollector.getMetrics().map(metric => metric.dimensions))
+        .to.deep.equal([
+          { service: 'users', stage: 'prod' },
+          { service: 'users', stage: 'dev' }
+        ]);
+      done();
     });
 
-    it('should setup flush timer when in auto mode and not stopped', function() {
+    it('should emit metric once per dimension set', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: true
+        defaultDimensions: { service: 'users' }
       });
 
-      const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
+      metricCollector.addMetrics({
+        name: 'latency',
+        dimensions: { operation: 'GetUser' },
+        dimensionSets: [['service', 'operation'], ['service'], []],
+        value: 12
+      });
 
-      return expect(metricCollector.flush())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          sinon.assert.calledOnce(setupFlushTimerSpy);
-        });
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'latency', dimensions: { service: 'users', operation: 'GetUser' }, value: [12], timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'latency', dimensions: { service: 'users' }, value: [12], timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'latency', dimensions: {}, value: [12], timestamp: TEST_TIMESTAMP
+          }
+        ]);
+      done();
     });
 
-    it('should not try to send metrics when there are no metrics accumulated', function() {
+    it('should use collector dimension sets by default', function(done) {
       const metricCollector = new MetricCollector({
-        serviceNamespace: TEST_SERVICE_NAMESPACE
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        dimensionSets: [['operation'], []]
       });
 
-      const sendMetricsStub = this.sandbox.stub(metricCollector.cloudwatchDriver, 'sendMetrics');
+      metricCollector.increment('requestCount', 1, { operation: 'GetUser' });
 
-      return expect(metricCollector.flush())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          sinon.assert.notCalled(sendMetricsStub);
-        });
+      expect(metricCollector.getMetrics().map(metric => metric.dimensions))
+        .to.deep.equal([{ operation: 'GetUser' }, {}]);
+      done();
     });
 
-    it('should send and clear metrics when there are metrics accumulated', function() {
+    it('should aggregate samples per minute using their own timestamp', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE
       });
 
-      const sendMetricsStub = this.sandbox.stub(metricCollector.cloudwatchDriver, 'sendMetrics').resolves(BPromise.resolve());
-
-      const metricsData = {
-        name: 'eventCount',
-        dimensions: {
-          eventName: 'AttributeEvent'
-        },
-        value: 1,
-        units: MetricCollector.UNITS.COUNT
-      };
-      metricCollector.addMetrics(metricsData);
-      const accumulatedMetrics = metricCollector.getMetrics();
+      metricCollector
+        .addMetrics({ name: 'latency', value: 1, timestamp: new Date(TEST_NOW - 60000) })
+        .addMetrics({ name: 'latency', value: 2 })
+        .addMetrics({ name: 'latency', value: 3, timestamp: TEST_NOW - 55000 });
 
-      return expect(metricCollector.flush())
-        .to.eventually.be.fulfilled
-        .then(() => {
-          expect(metricCollector.getMetrics()).to.deep.equal([]);
-          sinon.assert.calledOnce(sendMetricsStub);
-          sinon.assert.calledWithExactly(sendMetricsStub, accumulatedMetrics);
-        });
+      expect(metricCollector.getMetrics().map(metric => [metric.timestamp, metric.value]))
+        .to.deep.equal([
+          [new Date(TEST_TIMESTAMP.getTime() - 60000), [1, 3]],
+          [TEST_TIMESTAMP, [2]]
+        ]);
+      done();
     });
 
-    it('should be called by timer in auto mode', function() {
+    it('should aggregate samples per configured period', function(done) {
       const metricCollector = new MetricCollector({
         serviceNamespace: TEST_SERVICE_NAMESPACE,
-        auto: true,
-        flushFrequency: 100
+        aggregationPeriod: 300000
       });
 
-      const flushSpy = this.sandbox.stub(metricCollector, 'flush');
+      metricCollector
+        .addMetrics({ name: 'latency', value: 1, timestamp: new Date(1500000000000) })
+        .addMetrics({ name: 'latency', value: 2, timestamp: new Date(1500000100000) });
 
-      return BPromise
+      expect(metricCollector.getMetrics().map(metric => [metric.timestamp, metric.value]))
+        .to.deep.equal([[new Date(1500000000000), [1, 2]]]);
+      done();
+    });
+
+    it('should reject samples with timestamps CloudWatch does not accept', function(done) {
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() },
+        onDropped
+      });
+      const tooOld = { name: 'latency', value: 1, timestamp: new Date(TEST_NOW - (15 * 24 * 60 * 60 * 1000)) };
+      const tooNew = { name: 'latency', value: 2, timestamp: new Date(TEST_NOW + (3 * 60 * 60 * 1000)) };
+
+      metricCollector.addMetrics([tooOld, tooNew]);
+
+      expect(metricCollector.getMetrics()).to.deep.equal([]);
+      sinon.assert.calledTwice(metricCollector.logger.warn);
+      sinon.assert.calledWithExactly(onDropped, [tooOld], 'timestampOutOfRange');
+      sinon.assert.calledWithExactly(onDropped, [tooNew], 'timestampOutOfRange');
+      done();
+    });
+
+    it('should clamp timestamps CloudWatch does not accept when configured', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() },
+        timestampPolicy: MetricCollector.TIMESTAMP_POLICIES.CLAMP
+      });
+
+      metricCollector.addMetrics([
+        { name: 'latency', value: 1, timestamp: new Date(TEST_NOW - (15 * 24 * 60 * 60 * 1000)) },
+        { name: 'latency', value: 2, timestamp: new Date(TEST_NOW + (3 * 60 * 60 * 1000)) }
+      ]);
+
+      expect(metricCollector.getMetrics().map(metric => metric.timestamp))
+        .to.deep.equal([
+          new Date((TEST_TIMESTAMP.getTime() - (14 * 24 * 60 * 60 * 1000)) + 60000),
+          new Date(TEST_TIMESTAMP.getTime() + (2 * 60 * 60 * 1000))
+        ]);
+      sinon.assert.calledTwice(metricCollector.logger.warn);
+      done();
+    });
+
+    it('should drop unparsable timestamps instead of clamping them', function(done) {
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() },
+        timestampPolicy: MetricCollector.TIMESTAMP_POLICIES.CLAMP,
+        onDropped
+      });
+      const invalid = { name: 'latency', value: 1, timestamp: 'not a date' };
+
+      metricCollector.addMetrics([invalid, { name: 'latency', value: 2, timestamp: TEST_TIMESTAMP }]);
+
+      expect(metricCollector.getMetrics().map(metric => [metric.timestamp, metric.value]))
+        .to.deep.equal([[TEST_TIMESTAMP, [2]]]);
+      sinon.assert.calledWithExactly(onDropped, [invalid], 'timestampOutOfRange');
+      done();
+    });
+
+    it('should bucket high resolution metrics by second', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector.addMetrics([
+        {
+          name: 'latency', value: 1, storageResolution: 1, timestamp: new Date(1500000000100)
+        },
+        {
+          name: 'latency', value: 2, storageResolution: 1, timestamp: new Date(1500000000900)
+        },
+        {
+          name: 'latency', value: 3, storageResolution: 1, timestamp: new Date(1500000001000)
+        }
+      ]);
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'latency',
+            dimensions: {},
+            value: [1, 2],
+            storageResolution: 1,
+            timestamp: new Date(1500000000000)
+          },
+          {
+            name: 'latency',
+            dimensions: {},
+            value: [3],
+            storageResolution: 1,
+            timestamp: new Date(1500000001000)
+          }
+        ]);
+      done();
+    });
+
+    it('should bucket high resolution metrics by configured period using receive time by default', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        highResolutionPeriod: 10000
+      });
+      this.nowStub.returns(1500000009999);
+
+      metricCollector.gauge('queueDepth', 5, {}, { storageResolution: 1 });
+
+      expect(metricCollector.getMetrics()[0].timestamp)
+        .to.deep.equal(new Date(1500000000000));
+      done();
+    });
+
+    it('should throw when storageResolution is invalid', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(() => metricCollector.addMetrics({ name: 'latency', value: 1, storageResolution: 5 }))
+        .to.throw(Error, 'storageResolution must be 1 or 60');
+      done();
+    });
+
+    it('should return instance as a result value', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const metricsData = {
+        name: 'eventCount',
+        dimensions: {
+          eventName: 'AttributeEvent'
+        },
+        value: 1,
+        units: MetricCollector.UNITS.COUNT
+      };
+
+      expect(metricCollector.addMetrics(metricsData))
+        .to.deep.equal(metricCollector);
+      done();
+    });
+  });
+
+  describe('#increment', function() {
+    it('should sum up counter increments', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector
+        .increment('requestCount')
+        .increment('requestCount', 5)
+        .increment('requestCount', 2, { operation: 'GetUser' });
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'requestCount',
+            dimensions: {},
+            unit: MetricCollector.UNITS.COUNT,
+            type: MetricCollector.METRIC_TYPES.COUNTER,
+            value: 6,
+            timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'requestCount',
+            dimensions: { operation: 'GetUser' },
+            unit: MetricCollector.UNITS.COUNT,
+            type: MetricCollector.METRIC_TYPES.COUNTER,
+            value: 2,
+            timestamp: TEST_TIMESTAMP
+          }
+        ]);
+      done();
+    });
+  });
+
+  describe('#gauge', function() {
+    it('should keep the last gauge value', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector
+        .gauge('queueDepth', 10, { queue: 'jobs' })
+        .gauge('queueDepth', 3, { queue: 'jobs' });
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: 'queueDepth',
+          dimensions: { queue: 'jobs' },
+          type: MetricCollector.METRIC_TYPES.GAUGE,
+          value: 3,
+          timestamp: TEST_TIMESTAMP
+        }]);
+      done();
+    });
+  });
+
+  describe('#timing', function() {
+    it('should collect timer samples in milliseconds', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector
+        .timing('latency', 12)
+        .timing('latency', 30);
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: 'latency',
+          dimensions: {},
+          unit: MetricCollector.UNITS.MILLIS,
+          type: MetricCollector.METRIC_TYPES.TIMER,
+          value: [12, 30],
+          timestamp: TEST_TIMESTAMP
+        }]);
+      done();
+    });
+  });
+
+  describe('#histogram', function() {
+    it('should collect histogram samples sent as distinct values', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector
+        .histogram('payloadSize', 100, {}, { unit: 'Bytes' })
+        .histogram('payloadSize', 200, {}, { unit: 'Bytes' });
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: 'payloadSize',
+          dimensions: {},
+          unit: 'Bytes',
+          aggregation: MetricCollector.AGGREGATIONS.VALUES,
+          type: MetricCollector.METRIC_TYPES.HISTOGRAM,
+          value: [100, 200],
+          timestamp: TEST_TIMESTAMP
+        }]);
+      done();
+    });
+  });
+
+  describe('#startTimer', function() {
+    it('should record elapsed time when stopped', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      const stop = metricCollector.startTimer('latency', { operation: 'GetUser' });
+
+      return BPromise.delay(20)
+        .then(() => {
+          const duration = stop();
+
+          expect(duration).to.be.within(15, 1000);
+          expect(stop()).to.equal(duration);
+          expect(metricCollector.getMetrics())
+            .to.deep.equal([{
+              name: 'latency',
+              dimensions: { operation: 'GetUser' },
+              unit: MetricCollector.UNITS.MILLIS,
+              type: MetricCollector.METRIC_TYPES.TIMER,
+              value: [duration],
+              timestamp: TEST_TIMESTAMP
+            }]);
+        });
+    });
+
+    it('should support other time units', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      this.sandbox.stub(process, 'hrtime')
+        .onFirstCall().returns([100, 0])
+        .onSecondCall().returns([1, 500000]);
+
+      const duration = metricCollector.startTimer('latency', {}, { unit: MetricCollector.UNITS.MICROS })();
+
+      expect(duration).to.equal(1000500);
+      expect(metricCollector.getMetrics()[0])
+        .to.include({ unit: MetricCollector.UNITS.MICROS });
+      done();
+    });
+
+    it('should throw for units other than time units', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(() => metricCollector.startTimer('latency', {}, { unit: MetricCollector.UNITS.COUNT }))
+        .to.throw(Error, 'unsupported timer unit Count');
+      done();
+    });
+
+    it('should record outcome dimension and error metric', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const options = { outcomeDimension: 'outcome', errorMetric: 'errors' };
+
+      metricCollector.startTimer('latency', {}, options)();
+      metricCollector.startTimer('latency', {}, options)({ success: false, dimensions: { reason: 'timeout' } });
+
+      expect(metricCollector.getMetrics().map(metric => [metric.name, metric.dimensions]))
+        .to.deep.equal([
+          ['latency', { outcome: MetricCollector.OUTCOMES.SUCCESS }],
+          ['errors', { reason: 'timeout' }],
+          ['latency', { outcome: MetricCollector.OUTCOMES.FAILURE, reason: 'timeout' }]
+        ]);
+      done();
+    });
+  });
+
+  describe('#time', function() {
+    it('should time synchronous functions', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(metricCollector.time('latency', () => 42)).to.equal(42);
+      expect(metricCollector.getMetrics()).to.have.lengthOf(1);
+      expect(metricCollector.getMetrics()[0]).to.include({ name: 'latency' });
+      done();
+    });
+
+    it('should time synchronous functions that throw', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const testError = new Error('test error');
+
+      expect(() => metricCollector.time('latency', {}, () => { throw testError; }, { errorMetric: 'errors' }))
+        .to.throw(testError);
+      expect(metricCollector.getMetrics().map(metric => metric.name)).to.deep.equal(['errors', 'latency']);
+      done();
+    });
+
+    it('should time async functions and Bluebird promises', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      return BPromise.all([
+        metricCollector.time('latency', { source: 'native' }, () => new Promise(resolve => setTimeout(() => resolve(1), 10))),
+        metricCollector.time('latency', { source: 'bluebird' }, () => BPromise.delay(10).return(2))
+      ])
+        .then(results => {
+          expect(results).to.deep.equal([1, 2]);
+          metricCollector.getMetrics().forEach(metric => {
+            expect(metric.value[0]).to.be.at.least(5);
+          });
+          expect(metricCollector.getMetrics()).to.have.lengthOf(2);
+        });
+    });
+
+    it('should record failure of rejected promises', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const testError = new Error('test error');
+
+      return expect(metricCollector.time('latency', {}, () => BPromise.reject(testError), { outcomeDimension: 'outcome' }))
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          expect(metricCollector.getMetrics()[0].dimensions)
+            .to.deep.equal({ outcome: MetricCollector.OUTCOMES.FAILURE });
+        });
+    });
+  });
+
+  describe('#child', function() {
+    it('should prefix names and add dimensions to metrics of the parent', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        defaultDimensions: { service: 'users' }
+      });
+
+      const child = metricCollector.child({ namePrefix: 'Db.', dimensions: { table: 'users' } });
+      const result = child
+        .addMetrics({ name: 'queryCount', value: 1 })
+        .increment('queryCount', 2, { table: 'sessions' });
+
+      expect(result).to.equal(child);
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([
+          {
+            name: 'Db.queryCount',
+            dimensions: { service: 'users', table: 'users' },
+            value: [1],
+            timestamp: TEST_TIMESTAMP
+          },
+          {
+            name: 'Db.queryCount',
+            dimensions: { service: 'users', table: 'sessions' },
+            unit: MetricCollector.UNITS.COUNT,
+            type: MetricCollector.METRIC_TYPES.COUNTER,
+            value: 2,
+            timestamp: TEST_TIMESTAMP
+          }
+        ]);
+      done();
+    });
+
+    it('should support nested children, timers and dimension sets', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      const child = metricCollector
+        .child({ namePrefix: 'Api.', dimensions: { service: 'users' } })
+        .child({ namePrefix: 'GetUser.', dimensions: { operation: 'GetUser' }, dimensionSets: [['service', 'operation'], ['service']] });
+
+      child.time('latency', () => {}, { errorMetric: 'errors' });
+
+      expect(metricCollector.getMetrics().map(metric => [metric.name, metric.dimensions]))
+        .to.deep.equal([
+          ['Api.GetUser.latency', { service: 'users', operation: 'GetUser' }],
+          ['Api.GetUser.latency', { service: 'users' }]
+        ]);
+      done();
+    });
+
+    it('should flush the parent collector', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const flushStub = this.sandbox.stub(metricCollector, 'flush').resolves();
+
+      return expect(metricCollector.child().child().flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledOnce(flushStub);
+        });
+    });
+  });
+
+  describe('#getMetrics', function() {
+    it('should return accumulated metrics as an array', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const metricsData = {
+        name: 'eventCount',
+        dimensions: {
+          eventName: 'AttributeEvent'
+        },
+        value: 1,
+        units: MetricCollector.UNITS.COUNT
+      };
+
+      metricCollector.addMetrics(metricsData);
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([{
+          name: metricsData.name,
+          dimensions: metricsData.dimensions,
+          value: [metricsData.value],
+          units: metricsData.units,
+          timestamp: TEST_TIMESTAMP
+        }]);
+      done();
+    });
+
+    it('should return empty array when there are no metrics accumulated', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(metricCollector.getMetrics())
+        .to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('#mergeMetrics', function() {
+    it('should merge metrics of another collector into the buffer', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        defaultDimensions: { Host: 'primary' }
+      });
+      const otherCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      metricCollector
+        .increment('RequestCount', 1)
+        .gauge('QueueDepth', 1)
+        .histogram('PayloadSize', 10);
+      otherCollector
+        .increment('RequestCount', 2, { Host: 'primary' })
+        .gauge('QueueDepth', 5, { Host: 'primary' })
+        .histogram('PayloadSize', 20, { Host: 'primary' })
+        .increment('ErrorCount', 1);
+
+      const result = metricCollector.mergeMetrics(JSON.parse(JSON.stringify(otherCollector.getMetrics())));
+
+      expect(result).to.equal(metricCollector);
+      expect(metricCollector.getMetrics()).to.containSubset([
+        { name: 'RequestCount', dimensions: { Host: 'primary' }, value: 3 },
+        { name: 'QueueDepth', dimensions: { Host: 'primary' }, value: 5 },
+        { name: 'PayloadSize', dimensions: { Host: 'primary' }, value: [10, 20] },
+        { name: 'ErrorCount', dimensions: {}, value: 1 }
+      ]);
+      expect(metricCollector.getMetrics()).to.have.lengthOf(4);
+      metricCollector.getMetrics().forEach(rawMetric => expect(rawMetric.timestamp).to.deep.equal(TEST_TIMESTAMP));
+      done();
+    });
+
+    it('should throw when metrics are missing', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      expect(() => metricCollector.mergeMetrics()).to.throw(Error, 'missing rawMetrics');
+      done();
+    });
+  });
+
+  describe('#clearMetrics', function() {
+    it('should clear accumulated metrics', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const metricsData = {
+        name: 'eventCount',
+        dimensions: {
+          eventName: 'AttributeEvent'
+        },
+        value: 1,
+        units: MetricCollector.UNITS.COUNT
+      };
+
+      const result = metricCollector
+        .addMetrics(metricsData)
+        .clearMetrics();
+
+      expect(result).to.deep.equal(metricCollector);
+      expect(metricCollector.getMetrics()).to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('#stop', function() {
+    it('should do nothing if stopped already', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: false
+      });
+
+      const flushSpy = this.sandbox.spy(metricCollector, 'flush');
+
+      return expect(metricCollector.stop())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.notCalled(flushSpy);
+        });
+    });
+
+    it('should stop timer and flush metrics', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: true
+      });
+
+      const flushSpy = this.sandbox.spy(metricCollector, 'flush');
+
+      return expect(metricCollector.stop())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          expect(metricCollector._stopped).to.equal(true);
+          sinon.assert.calledOnce(flushSpy);
+        });
+    });
+  });
+
+  describe('buffer limits', function() {
+    // drivers hold on to every send until completeSends, waitForSends resolves once the driver got `count` sends
+    const createCollector = options => {
+      const sends = [];
+      const waiters = [];
+      const metricCollector = new MetricCollector(Object.assign({
+        driver: {
+          sendMetrics: sinon.stub().callsFake(() => new BPromise(resolve => {
+            sends.push(resolve);
+            waiters.forEach(waiter => waiter());
+          }))
+        }
+      }, options));
+      metricCollector.completeSends = () => sends.splice(0).forEach(resolve => resolve());
+      metricCollector.waitForSends = count => new BPromise(resolve => {
+        const waiter = () => {
+          if (metricCollector.drivers[0].sendMetrics.callCount >= count) {
+            resolve();
+          }
+        };
+        waiters.push(waiter);
+        waiter();
+      });
+      return metricCollector;
+    };
+
+    it('should throw when overflow policy is unknown', function(done) {
+      expect(() => new MetricCollector({ serviceNamespace: TEST_SERVICE_NAMESPACE, overflowPolicy: 'block' }))
+        .to.throw(Error, 'unknown overflow policy block');
+      done();
+    });
+
+    it('should flush early when maxSeries is reached', function() {
+      const metricCollector = createCollector({ maxSeries: 2 });
+
+      metricCollector
+        .increment('requests', 1, { operation: 'GetUser' })
+        .increment('requests', 1, { operation: 'GetUser' })
+        .increment('requests', 1, { operation: 'PutUser' });
+
+      expect(metricCollector.getStats()).to.deep.equal({ series: 0, droppedSamples: {} });
+      return metricCollector.waitForSends(1)
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector.drivers[0].sendMetrics.firstCall.args[0]).to.have.lengthOf(2);
+          metricCollector.completeSends();
+        });
+    });
+
+    it('should flush early when maxSamplesPerSeries is reached', function() {
+      const metricCollector = createCollector({ maxSamplesPerSeries: 3 });
+
+      metricCollector
+        .timing('latency', 1)
+        .timing('latency', 2)
+        .timing('latency', 3);
+
+      return metricCollector.waitForSends(1)
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector.drivers[0].sendMetrics.firstCall.args[0][0].value).to.deep.equal([1, 2, 3]);
+          metricCollector.completeSends();
+        });
+    });
+
+    it('should drop new series while a flush is in flight', function() {
+      const metricCollector = createCollector({ maxSeries: 1 });
+
+      metricCollector
+        .increment('first')
+        .increment('second')
+        .increment('third');
+
+      expect(metricCollector.getMetrics().map(metric => metric.name)).to.deep.equal(['second']);
+      expect(metricCollector.getStats()).to.deep.equal({ series: 1, droppedSamples: { maxSeries: 1 } });
+
+      const nextFlush = metricCollector._nextFlush;
+      return metricCollector.waitForSends(1)
+        .then(() => {
+          metricCollector.completeSends();
+          return metricCollector.waitForSends(2);
+        })
+        .then(() => {
+          expect(metricCollector._nextFlush).to.equal(null);
+          expect(nextFlush.isPending()).to.equal(true);
+          sinon.assert.calledTwice(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector.drivers[0].sendMetrics.secondCall.args[0][0].name).to.equal('second');
+          metricCollector.completeSends();
+        });
+    });
+
+    it('should drop the oldest series while a flush is in flight', function(done) {
+      const metricCollector = createCollector({
+        maxSeries: 1,
+        overflowPolicy: MetricCollector.OVERFLOW_POLICIES.DROP_OLDEST
+      });
+
+      metricCollector
+        .increment('first')
+        .increment('second')
+        .increment('third', 3);
+
+      expect(metricCollector.getMetrics().map(metric => metric.name)).to.deep.equal(['third']);
+      expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxSeries: 1 });
+      done();
+    });
+
+    it('should drop new samples while a flush is in flight', function(done) {
+      const metricCollector = createCollector({ maxSamplesPerSeries: 2 });
+
+      [1, 2, 3, 4, 5, 6].forEach(value => metricCollector.timing('latency', value));
+
+      expect(metricCollector.getMetrics()[0].value).to.deep.equal([3, 4]);
+      expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxSamplesPerSeries: 2 });
+      done();
+    });
+
+    it('should drop the oldest samples while a flush is in flight', function(done) {
+      const metricCollector = createCollector({
+        maxSamplesPerSeries: 2,
+        overflowPolicy: MetricCollector.OVERFLOW_POLICIES.DROP_OLDEST
+      });
+
+      [1, 2, 3, 4, 5, 6].forEach(value => metricCollector.timing('latency', value));
+
+      expect(metricCollector.getMetrics()[0].value).to.deep.equal([5, 6]);
+      expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxSamplesPerSeries: 2 });
+      done();
+    });
+
+    it('should reservoir sample values while a flush is in flight', function(done) {
+      const metricCollector = createCollector({
+        maxSamplesPerSeries: 2,
+        overflowPolicy: MetricCollector.OVERFLOW_POLICIES.RESERVOIR
+      });
+      this.sandbox.stub(Math, 'random')
+        .onFirstCall().returns(0.1)
+        .onSecondCall().returns(0.9);
+
+      [1, 2, 3, 4, 5, 6].forEach(value => metricCollector.timing('latency', value));
+
+      // 5 replaces the first of three seen samples, 6 falls outside the two kept of four
+      expect(metricCollector.getMetrics()[0].value).to.deep.equal([5, 4]);
+      expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxSamplesPerSeries: 2 });
+      done();
+    });
+
+    it('should count samples dropped from the backlog', function() {
+      const metricCollector = new MetricCollector({
+        driver: { sendMetrics: sinon.stub().rejects(new Error('failed to send')) },
+        logger: { error: sinon.spy(), warn: sinon.spy() },
+        maxBufferSize: 1
+      });
+
+      metricCollector
+        .timing('latency', 1)
+        .timing('latency', 2)
+        .increment('requests');
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(Error, 'failed to send')
+        .then(() => {
+          expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxBufferSize: 1 });
+        });
+    });
+
+    it('should keep a single flush in flight', function() {
+      const metricCollector = createCollector();
+
+      metricCollector.increment('requests');
+      const firstFlush = metricCollector.flush();
+      metricCollector.increment('requests');
+      const secondFlush = metricCollector.flush();
+      const thirdFlush = metricCollector.flush();
+
+      expect(thirdFlush).to.equal(secondFlush);
+
+      return metricCollector.waitForSends(1)
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          metricCollector.completeSends();
+          return firstFlush;
+        })
+        .then(() => metricCollector.waitForSends(2))
+        .then(() => {
+          sinon.assert.calledTwice(metricCollector.drivers[0].sendMetrics);
+          metricCollector.completeSends();
+          return secondFlush;
+        });
+    });
+  });
+
+  describe('exit handlers', function() {
+    const createCollector = options => new MetricCollector(Object.assign({
+      driver: { sendMetrics: sinon.stub().resolves() },
+      logger: { error: sinon.spy(), warn: sinon.spy() },
+      handleExit: true
+    }, options));
+    // the test runner listens for signals too, so its listeners are set aside while a signal is handled
+    const handleSignal = (metricCollector, signal) => {
+      const otherListeners = process.listeners(signal)
+        .filter(listener => listener !== metricCollector._exitHandlers[signal]);
+      otherListeners.forEach(listener => process.removeListener(signal, listener));
+
+      return metricCollector._exitHandlers[signal]()
+        .finally(() => otherListeners.forEach(listener => process.on(signal, listener)));
+    };
+
+    it('should register exit handlers only when asked to', function(done) {
+      const listenerCount = process.listenerCount('SIGTERM');
+
+      const metricCollector = new MetricCollector({ serviceNamespace: TEST_SERVICE_NAMESPACE });
+      expect(process.listenerCount('SIGTERM')).to.equal(listenerCount);
+
+      const exitingCollector = createCollector();
+      expect(process.listeners('SIGTERM')).to.include(exitingCollector._exitHandlers.SIGTERM);
+      expect(process.listeners('SIGINT')).to.include(exitingCollector._exitHandlers.SIGINT);
+      expect(process.listeners('beforeExit')).to.include(exitingCollector._exitHandlers.beforeExit);
+
+      exitingCollector._removeExitHandlers();
+      expect(process.listenerCount('SIGTERM')).to.equal(listenerCount);
+      expect(metricCollector._exitHandlers).to.equal(undefined);
+      done();
+    });
+
+    it('should unref the flush timer', function() {
+      const metricCollector = createCollector({ auto: true });
+
+      expect(metricCollector._flushTimer.hasRef()).to.equal(false);
+      return metricCollector.stop();
+    });
+
+    it('should remove exit handlers when stopped', function() {
+      const metricCollector = createCollector({ auto: true });
+      const { beforeExit } = metricCollector._exitHandlers;
+
+      return metricCollector.stop()
+        .then(() => {
+          expect(process.listeners('beforeExit')).to.not.include(beforeExit);
+        });
+    });
+
+    it('should flush and raise the signal again', function() {
+      const metricCollector = createCollector({ auto: true });
+      const killStub = this.sandbox.stub(process, 'kill');
+
+      metricCollector.increment('requests');
+
+      return handleSignal(metricCollector, 'SIGTERM')
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          sinon.assert.calledWithExactly(killStub, process.pid, 'SIGTERM');
+          expect(metricCollector._stopped).to.equal(true);
+          expect(metricCollector._exitHandlers).to.equal(null);
+        });
+    });
+
+    it('should leave shutting down to the app when it listens for the signal', function() {
+      const metricCollector = createCollector({ auto: true });
+      const killStub = this.sandbox.stub(process, 'kill');
+      const appListener = sinon.spy();
+      process.on('SIGTERM', appListener);
+
+      metricCollector.increment('requests');
+
+      return metricCollector._exitHandlers.SIGTERM()
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          sinon.assert.notCalled(killStub);
+          sinon.assert.notCalled(appListener);
+        })
+        .finally(() => process.removeListener('SIGTERM', appListener));
+    });
+
+    it('should give up flushing after exitTimeout', function() {
+      const metricCollector = createCollector({
+        driver: { sendMetrics: sinon.stub().returns(new BPromise(() => {})) },
+        exitTimeout: 10
+      });
+      const killStub = this.sandbox.stub(process, 'kill');
+
+      metricCollector.increment('requests');
+
+      return handleSignal(metricCollector, 'SIGINT')
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.logger.error);
+          expect(metricCollector.logger.error.firstCall.args[0].err).to.be.an.instanceof(BPromise.TimeoutError);
+          sinon.assert.calledWithExactly(killStub, process.pid, 'SIGINT');
+        });
+    });
+
+    it('should flush before exit only when metrics are buffered', function() {
+      const metricCollector = createCollector();
+
+      return metricCollector._exitHandlers.beforeExit()
+        .then(() => {
+          sinon.assert.notCalled(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector._exitHandlers).to.not.equal(null);
+
+          metricCollector.increment('requests');
+          return metricCollector._exitHandlers.beforeExit();
+        })
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector._exitHandlers).to.equal(null);
+        });
+    });
+  });
+
+  describe('#wrapLambda', function() {
+    const createCollector = () => new MetricCollector({
+      driver: { sendMetrics: sinon.stub().resolves() },
+      logger: { error: sinon.spy(), warn: sinon.spy() }
+    });
+
+    it('should flush before resolving the response of a promise handler', function() {
+      const metricCollector = createCollector();
+      const handler = metricCollector.wrapLambda(event => {
+        metricCollector.increment('invocations');
+        return BPromise.resolve({ statusCode: 200, body: event.body });
+      });
+
+      return expect(handler({ body: 'ok' }, {}))
+        .to.eventually.deep.equal({ statusCode: 200, body: 'ok' })
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+          expect(metricCollector.getMetrics()).to.deep.equal([]);
+        });
+    });
+
+    it('should flush before calling back with the error of a callback handler', function(done) {
+      const metricCollector = createCollector();
+      const error = new Error('handler failed');
+      const handler = metricCollector.wrapLambda((event, context, callback) => {
+        metricCollector.increment('errors');
+        setImmediate(() => callback(error));
+      });
+
+      handler({}, {}, err => {
+        expect(err).to.equal(error);
+        sinon.assert.calledOnce(metricCollector.drivers[0].sendMetrics);
+        done();
+      });
+    });
+
+    it('should still respond when flushing fails', function() {
+      const metricCollector = createCollector();
+      metricCollector.drivers[0].sendMetrics.rejects(new Error('failed to send'));
+      const handler = metricCollector.wrapLambda(() => {
+        metricCollector.increment('invocations');
+        return 'done';
+      });
+
+      return expect(handler({}, {}))
+        .to.eventually.equal('done')
+        .then(() => {
+          sinon.assert.calledWithMatch(metricCollector.logger.error, sinon.match.has('err'), 'failed to send metrics');
+        });
+    });
+
+    it('should reject with the error thrown by the handler', function() {
+      const metricCollector = createCollector();
+      const handler = metricCollector.wrapLambda(() => {
+        throw new Error('handler failed');
+      });
+
+      return expect(handler({}, {}))
+        .to.be.rejectedWith(Error, 'handler failed');
+    });
+  });
+
+  describe('#flush', function() {
+    it('should not setup flush timer when not in auto mode', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: false
+      });
+
+      const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
+
+      return expect(metricCollector.flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.notCalled(setupFlushTimerSpy);
+        });
+    });
+
+    it('should not setup flush timer when stopped', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: true
+      });
+
+      return metricCollector.stop()
+        .then(() => {
+          const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
+          return expect(metricCollector.flush())
+            .to.eventually.be.fulfilled
+            .then(() => {
+              sinon.assert.notCalled(setupFlushTimerSpy);
+            });
+        });
+    });
+
+    it('should setup flush timer when in auto mode and not stopped', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: true
+      });
+
+      const setupFlushTimerSpy = this.sandbox.spy(metricCollector, '_setupFlushTimer');
+
+      return expect(metricCollector.flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledOnce(setupFlushTimerSpy);
+        });
+    });
+
+    it('should not try to send metrics when there are no metrics accumulated', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics');
+
+      return expect(metricCollector.flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.notCalled(sendMetricsStub);
+        });
+    });
+
+    it('should send and clear metrics when there are metrics accumulated', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics').resolves(BPromise.resolve());
+
+      const metricsData = {
+        name: 'eventCount',
+        dimensions: {
+          eventName: 'AttributeEvent'
+        },
+        value: 1,
+        units: MetricCollector.UNITS.COUNT
+      };
+      metricCollector.addMetrics(metricsData);
+      const accumulatedMetrics = metricCollector.getMetrics();
+
+      return expect(metricCollector.flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          expect(metricCollector.getMetrics()).to.deep.equal([]);
+          sinon.assert.calledOnce(sendMetricsStub);
+          sinon.assert.calledWithExactly(sendMetricsStub, accumulatedMetrics);
+        });
+    });
+
+    it('should resend metrics on next flush when sending fails', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const testError = new Error('CloudWatch error');
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics');
+      sendMetricsStub.onFirstCall().rejects(testError);
+      sendMetricsStub.onSecondCall().resolves();
+
+      metricCollector.addMetrics({
+        name: 'eventCount',
+        dimensions: {
+          eventName: 'AttributeEvent'
+        },
+        value: 1,
+        units: MetricCollector.UNITS.COUNT
+      });
+      const accumulatedMetrics = metricCollector.getMetrics();
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          expect(metricCollector.getMetrics()).to.deep.equal([]);
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          sinon.assert.calledTwice(sendMetricsStub);
+          expect(sendMetricsStub.secondCall.args[0]).to.deep.equal(accumulatedMetrics);
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          sinon.assert.calledTwice(sendMetricsStub);
+        });
+    });
+
+    it('should only resend metrics that failed merged with new ones', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const testError = new Error('CloudWatch error');
+
+      metricCollector.addMetrics([
+        { name: 'sent', dimensions: {}, value: 1 },
+        { name: 'failed', dimensions: {}, value: 2 }
+      ]);
+      testError.failedMetrics = [metricCollector.getMetrics()[1]];
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics');
+      sendMetricsStub.onFirstCall().rejects(testError);
+      sendMetricsStub.onSecondCall().resolves();
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          metricCollector.addMetrics({ name: 'failed', dimensions: {}, value: 3 });
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          expect(sendMetricsStub.secondCall.args[0]).to.deep.equal([{
+            name: 'failed',
+            dimensions: {},
+            value: [2, 3],
+            timestamp: TEST_TIMESTAMP
+          }]);
+        });
+    });
+
+    it('should keep sending valid metrics when every flush holds an invalid one', function() {
+      const putMetricDataStub = sinon.stub().returns({ promise: () => BPromise.resolve() });
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: { putMetricData: putMetricDataStub },
+        logger: { error: sinon.spy(), warn: sinon.spy() },
+        validationPolicy: MetricCollector.VALIDATION_POLICIES.THROW
+      });
+      const flushWithInvalidMetric = () => {
+        metricCollector
+          .increment('ok')
+          .addMetrics({ name: 'invalid', value: NaN });
+        return expect(metricCollector.flush()).to.be.rejectedWith(Error, 'invalid metrics: invalid');
+      };
+
+      return flushWithInvalidMetric()
+        .then(flushWithInvalidMetric)
+        .then(flushWithInvalidMetric)
+        .then(() => {
+          const sentNames = putMetricDataStub.getCalls()
+            .map(call => call.args[0].MetricData.map(datum => datum.MetricName));
+          expect(sentNames).to.deep.equal([['ok'], ['ok'], ['ok']]);
+          expect(metricCollector._backlogs.size).to.equal(0);
+        });
+    });
+
+    it('should drop metrics that stay in the buffer longer than maxBufferAge', function() {
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        maxBufferAge: 1000,
+        onDropped
+      });
+      const testError = new Error('CloudWatch error');
+      const { nowStub } = this;
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics').rejects(testError);
+      metricCollector.addMetrics({ name: 'eventCount', dimensions: {}, value: 1 });
+      const accumulatedMetrics = metricCollector.getMetrics();
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          sinon.assert.notCalled(onDropped);
+
+          nowStub.returns(TEST_NOW + 1001);
+          return expect(metricCollector.flush()).to.be.rejectedWith(testError);
+        })
+        .then(() => {
+          sinon.assert.calledTwice(sendMetricsStub);
+          sinon.assert.calledOnce(onDropped);
+          sinon.assert.calledWithExactly(onDropped, accumulatedMetrics, 'maxBufferAge');
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          sinon.assert.calledTwice(sendMetricsStub);
+        });
+    });
+
+    it('should drop failed metrics that do not fit into maxBufferSize', function() {
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        maxBufferSize: 2,
+        onDropped
+      });
+      const testError = new Error('CloudWatch error');
+
+      metricCollector.addMetrics([
+        { name: 'metric1', dimensions: {}, value: 1 },
+        { name: 'metric2', dimensions: {}, value: 2 },
+        { name: 'metric3', dimensions: {}, value: 3 }
+      ]);
+      const failedMetrics = metricCollector.getMetrics();
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics');
+      sendMetricsStub.onFirstCall().rejects(testError);
+      sendMetricsStub.onSecondCall().resolves();
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          sinon.assert.calledOnce(onDropped);
+          sinon.assert.calledWithExactly(onDropped, [failedMetrics[2]], 'maxBufferSize');
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          expect(sendMetricsStub.secondCall.args[0]).to.deep.equal(failedMetrics.slice(0, 2));
+        });
+    });
+
+    it('should merge typed metrics according to their type when resending', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE
+      });
+      const testError = new Error('CloudWatch error');
+
+      const sendMetricsStub = this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics');
+      sendMetricsStub.onFirstCall().rejects(testError);
+      sendMetricsStub.onSecondCall().resolves();
+
+      metricCollector
+        .increment('requestCount', 2)
+        .gauge('queueDepth', 10);
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          metricCollector
+            .increment('requestCount', 3)
+            .gauge('queueDepth', 4);
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          expect(sendMetricsStub.secondCall.args[0].map(metric => metric.value)).to.deep.equal([5, 4]);
+        });
+    });
+
+    it('should not reject when flushed by timer', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { error: sinon.spy(), warn: sinon.spy() }
+      });
+      const testError = new Error('CloudWatch error');
+
+      this.sandbox.stub(metricCollector.drivers[0], 'sendMetrics').rejects(testError);
+      metricCollector.addMetrics({ name: 'eventCount', dimensions: {}, value: 1 });
+
+      return expect(metricCollector._autoFlush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          sinon.assert.calledOnce(metricCollector.logger.error);
+        });
+    });
+
+    it('should send metrics to every driver', function() {
+      const drivers = [
+        { sendMetrics: sinon.stub().resolves() },
+        { sendMetrics: sinon.stub().resolves() }
+      ];
+      const metricCollector = new MetricCollector({ driver: drivers });
+
+      metricCollector.addMetrics({ name: 'eventCount', dimensions: {}, value: 1 });
+      const accumulatedMetrics = metricCollector.getMetrics();
+
+      return expect(metricCollector.flush())
+        .to.eventually.be.fulfilled
+        .then(() => {
+          drivers.forEach(driver => {
+            sinon.assert.calledOnce(driver.sendMetrics);
+            sinon.assert.calledWithExactly(driver.sendMetrics, accumulatedMetrics);
+          });
+        });
+    });
+
+    it('should isolate driver failures and resend only to the failed driver', function() {
+      const testError = new Error('driver error');
+      const failingSendMetrics = sinon.stub();
+      failingSendMetrics.onFirstCall().throws(testError);
+      failingSendMetrics.onSecondCall().resolves();
+      const drivers = [
+        { sendMetrics: failingSendMetrics },
+        { sendMetrics: sinon.stub().resolves() }
+      ];
+      const metricCollector = new MetricCollector({
+        driver: drivers,
+        logger: { error: sinon.spy(), warn: sinon.spy() }
+      });
+
+      metricCollector.addMetrics({ name: 'eventCount', dimensions: {}, value: 1 });
+      const accumulatedMetrics = metricCollector.getMetrics();
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          sinon.assert.calledOnce(drivers[1].sendMetrics);
+          sinon.assert.calledWithExactly(drivers[1].sendMetrics, accumulatedMetrics);
+          return expect(metricCollector.flush()).to.eventually.be.fulfilled;
+        })
+        .then(() => {
+          sinon.assert.calledOnce(drivers[1].sendMetrics);
+          sinon.assert.calledTwice(drivers[0].sendMetrics);
+          expect(drivers[0].sendMetrics.secondCall.args[0]).to.deep.equal(accumulatedMetrics);
+        });
+    });
+
+    it('should be called by timer in auto mode', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        auto: true,
+        flushFrequency: 100
+      });
+
+      const flushSpy = this.sandbox.stub(metricCollector, 'flush');
+
+      return BPromise
         .delay(500)
         .then(() => {
           sinon.assert.called(flushSpy);
         });
     });
   });
+
+  describe('events', function() {
+    it('should emit flush and flushed with the summary of every driver', function() {
+      const metricCollector = new MetricCollector({
+        driver: [
+          { sendMetrics: sinon.stub().resolves({ batchCount: 2, datumCount: 2 }) },
+          { sendMetrics: sinon.stub().resolves() }
+        ]
+      });
+      const flushSpy = sinon.spy();
+      const flushedSpy = sinon.spy();
+      metricCollector
+        .on('flush', flushSpy)
+        .on('flushed', flushedSpy);
+
+      metricCollector
+        .increment('requestCount')
+        .gauge('queueDepth', 10);
+
+      return metricCollector.flush()
+        .then(() => {
+          sinon.assert.calledOnce(flushSpy);
+          expect(flushSpy.firstCall.args[0].metrics).to.have.lengthOf(2);
+          sinon.assert.calledOnce(flushedSpy);
+          sinon.assert.calledWithExactly(flushedSpy, {
+            batchCount: 3,
+            datumCount: 4,
+            duration: 0,
+            errorCount: 0
+          });
+        });
+    });
+
+    it('should not emit flush events when there is nothing to flush', function() {
+      const metricCollector = new MetricCollector({ driver: { sendMetrics: sinon.stub().resolves() } });
+      const flushSpy = sinon.spy();
+      metricCollector.on('flush', flushSpy);
+
+      return metricCollector.flush()
+        .then(() => {
+          sinon.assert.notCalled(flushSpy);
+        });
+    });
+
+    it('should emit errors with the failed metrics instead of logging them', function() {
+      const testError = Object.assign(new Error('CloudWatch error'), { failedMetrics: [{ name: 'requestCount', value: 1 }] });
+      const driver = { sendMetrics: sinon.stub().rejects(testError) };
+      const metricCollector = new MetricCollector({
+        driver,
+        logger: { error: sinon.spy(), warn: sinon.spy() }
+      });
+      const errorSpy = sinon.spy();
+      const flushedSpy = sinon.spy();
+      metricCollector
+        .on('error', errorSpy)
+        .on('flushed', flushedSpy);
+
+      metricCollector.increment('requestCount');
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(testError)
+        .then(() => {
+          sinon.assert.calledOnce(errorSpy);
+          sinon.assert.calledWithExactly(errorSpy, testError, { driver, metrics: testError.failedMetrics });
+          sinon.assert.notCalled(metricCollector.logger.error);
+          expect(flushedSpy.firstCall.args[0]).to.include({ batchCount: 0, datumCount: 0, errorCount: 1 });
+        });
+    });
+
+    it('should emit dropped metrics', function(done) {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { warn: sinon.spy() }
+      });
+      const droppedSpy = sinon.spy();
+      metricCollector.on('dropped', droppedSpy);
+
+      metricCollector.addMetrics({ name: 'requestCount', value: 1, timestamp: new Date(0) });
+
+      sinon.assert.calledOnce(droppedSpy);
+      expect(droppedSpy.firstCall.args[0]).to.have.lengthOf(1);
+      expect(droppedSpy.firstCall.args[1]).to.equal('timestampOutOfRange');
+      done();
+    });
+
+    it('should report the metrics drivers drop like its own', function(done) {
+      const driver = Object.assign(new EventEmitter(), { sendMetrics: sinon.stub().resolves() });
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        driver,
+        onDropped,
+        logger: { warn: sinon.spy() }
+      });
+      const droppedSpy = sinon.spy();
+      const spooledMetrics = [{ name: 'requestCount', value: [1, 2] }];
+      metricCollector.on('dropped', droppedSpy);
+
+      driver.emit('dropped', spooledMetrics, 'maxSpoolSize');
+
+      sinon.assert.calledWithExactly(onDropped, spooledMetrics, 'maxSpoolSize');
+      sinon.assert.calledWithExactly(droppedSpy, spooledMetrics, 'maxSpoolSize');
+      expect(metricCollector.getStats().droppedSamples).to.deep.equal({ maxSpoolSize: 2 });
+      done();
+    });
+
+    it('should drop metrics with a logger implementing error only', function(done) {
+      const onDropped = sinon.spy();
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        logger: { error: sinon.spy() },
+        onDropped
+      });
+
+      metricCollector.addMetrics({ name: 'requestCount', value: 1, timestamp: new Date(0) });
+
+      sinon.assert.calledOnce(onDropped);
+      done();
+    });
+
+    it('should emit stopped once stopped', function() {
+      const metricCollector = new MetricCollector({
+        driver: { sendMetrics: sinon.stub().resolves() },
+        auto: true
+      });
+      const stoppedSpy = sinon.spy();
+      metricCollector.on('stopped', stoppedSpy);
+
+      metricCollector.increment('requestCount');
+
+      return metricCollector.stop()
+        .then(() => metricCollector.stop())
+        .then(() => {
+          sinon.assert.calledOnce(stoppedSpy);
+        });
+    });
+  });
+
+  describe('self metrics', function() {
+    const getSelfMetrics = metricCollector => metricCollector.getMetrics()
+      .reduce((acc, metric) => Object.assign(acc, { [metric.name]: metric.value }), {});
+
+    it('should record metrics about every flush in a separate namespace', function() {
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        driver: new MemoryDriver(),
+        defaultDimensions: { stage: 'prod' },
+        selfMetrics: true
+      });
+
+      metricCollector
+        .timing('latency', 1)
+        .timing('latency', 2)
+        .increment('requestCount');
+
+      return metricCollector.flush()
+        .then(() => {
+          expect(metricCollector.getMetrics()).to.have.lengthOf(6);
+          expect(metricCollector.getMetrics()[0]).to.deep.include({
+            namespace: 'Metricologist',
+            dimensions: { ServiceNamespace: TEST_SERVICE_NAMESPACE }
+          });
+          expect(getSelfMetrics(metricCollector)).to.deep.equal({
+            SeriesCount: [2],
+            BufferedSamples: [3],
+            FlushDuration: [0],
+            FailedSends: 0,
+            Throttles: 0,
+            DroppedSamples: 0
+          });
+        });
+    });
+
+    it('should not record self metrics for flushes of self metrics only', function() {
+      const driver = new MemoryDriver();
+      const metricCollector = new MetricCollector({
+        driver,
+        selfMetrics: { namespace: 'Self', dimensions: { Service: 'users' } }
+      });
+
+      metricCollector.increment('requestCount');
+
+      return metricCollector.flush()
+        .then(() => metricCollector.flush())
+        .then(() => {
+          expect(metricCollector.getMetrics()).to.deep.equal([]);
+          expect(driver.find('SeriesCount', { Service: 'users' })).to.have.lengthOf(1);
+          expect(driver.find('SeriesCount')[0].namespace).to.equal('Self');
+        });
+    });
+
+    it('should count failed sends and throttles', function() {
+      const throttlingError = Object.assign(new Error('Rate exceeded'), { code: 'Throttling' });
+      const putMetricDataStub = sinon.stub();
+      putMetricDataStub.onFirstCall().returns({ promise: () => BPromise.reject(throttlingError) });
+      putMetricDataStub.returns({ promise: () => BPromise.reject(new Error('CloudWatch error')) });
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: { putMetricData: putMetricDataStub },
+        logger: { debug() {}, error: sinon.spy(), warn: sinon.spy() },
+        selfMetrics: true
+      });
+      metricCollector.drivers[0].maxRetries = 1;
+      metricCollector.drivers[0].retryDelay = 1;
+
+      metricCollector.increment('requestCount');
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(Error, 'CloudWatch error')
+        .then(() => {
+          expect(getSelfMetrics(metricCollector)).to.include({ FailedSends: 1, Throttles: 1 });
+        });
+    });
+
+    it('should count every request a driver fails to send', function() {
+      const putMetricDataStub = sinon.stub().returns({ promise: () => BPromise.reject(new Error('CloudWatch error')) });
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: { putMetricData: putMetricDataStub },
+        logger: { debug() {}, error: sinon.spy(), warn: sinon.spy() },
+        selfMetrics: true
+      });
+      metricCollector.drivers[0].maxRetries = 0;
+      metricCollector.drivers[0].maxMetricsPerRequest = 1;
+
+      metricCollector
+        .increment('requestCount')
+        .increment('errorCount');
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(Error, 'CloudWatch error')
+        .then(() => {
+          sinon.assert.calledTwice(putMetricDataStub);
+          expect(getSelfMetrics(metricCollector)).to.include({ FailedSends: 2 });
+        });
+    });
+
+    it('should not count failed sends of self metrics', function() {
+      const putMetricDataStub = sinon.stub().callsFake(metrics => ({
+        promise: () => (metrics.Namespace === 'Metricologist'
+          ? BPromise.reject(new Error('CloudWatch error'))
+          : BPromise.resolve())
+      }));
+      const metricCollector = new MetricCollector({
+        serviceNamespace: TEST_SERVICE_NAMESPACE,
+        client: { putMetricData: putMetricDataStub },
+        logger: { debug() {}, error: sinon.spy(), warn: sinon.spy() },
+        selfMetrics: true
+      });
+      metricCollector.drivers[0].maxRetries = 0;
+
+      metricCollector.increment('requestCount');
+
+      return metricCollector.flush()
+        .then(() => expect(metricCollector.flush()).to.be.rejectedWith(Error, 'CloudWatch error'))
+        .then(() => {
+          expect(metricCollector.getMetrics()).to.deep.equal([]);
+        });
+    });
+
+    it('should count a failed send for drivers which do not emit failed events', function() {
+      const metricCollector = new MetricCollector({
+        driver: { sendMetrics: sinon.stub().rejects(new Error('send failed')) },
+        logger: { error: sinon.spy(), warn: sinon.spy() },
+        selfMetrics: true
+      });
+
+      metricCollector.increment('requestCount');
+
+      return expect(metricCollector.flush())
+        .to.be.rejectedWith(Error, 'send failed')
+        .then(() => {
+          expect(getSelfMetrics(metricCollector)).to.include({ FailedSends: 1 });
+        });
+    });
+
+    it('should count dropped samples of service metrics only', function() {
+      const metricCollector = new MetricCollector({
+        driver: new MemoryDriver(),
+        logger: { warn: sinon.spy() },
+        selfMetrics: true
+      });
+
+      metricCollector
+        .addMetrics({ name: 'requestCount', value: 1, timestamp: new Date(0) })
+        .emit('dropped', [{ name: 'SeriesCount', namespace: 'Metricologist', value: [1] }], 'maxSeries');
+
+      return metricCollector.flush()
+        .then(() => {
+          expect(getSelfMetrics(metricCollector)).to.deep.include({ SeriesCount: [0], DroppedSamples: 1 });
+        });
+    });
+  });
 });
@@ -0,0 +1,154 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+
+const MetricValidator = require('../lib/MetricValidator');
+
+describe('MetricValidator', function() {
+
+  const validMetric = {
+    name: 'latency',
+    dimensions: { operation: 'GetUser' },
+    value: [1, 2.5, 0],
+    unit: 'Milliseconds'
+  };
+
+  const createDimensions = count => {
+    const dimensions = {};
+    for (let i = 0; i < count; i++) {
+      dimensions[`dimension${i}`] = `value${i}`;
+    }
+    return dimensions;
+  };
+
+  describe('#constructor', function() {
+    it('should throw when policy is unknown', function(done) {
+      expect(() => new MetricValidator({ policy: 'ignore' }))
+        .to.throw(Error, 'unknown validation policy ignore');
+      done();
+    });
+
+    it('should drop invalid metrics by default', function(done) {
+      expect(new MetricValidator())
+        .to.have.property('policy', MetricValidator.POLICIES.DROP);
+      done();
+    });
+  });
+
+  describe('#getErrors', function() {
+    const validator = new MetricValidator();
+
+    it('should accept valid metrics', function(done) {
+      expect(validator.getErrors(validMetric)).to.deep.equal([]);
+      expect(validator.getErrors({ name: 'count', value: 1 })).to.deep.equal([]);
+      done();
+    });
+
+    it('should report invalid names', function(done) {
+      expect(validator.getErrors(Object.assign({}, validMetric, { name: '' })))
+        .to.deep.equal(['name must be a string of 1 to 255 characters']);
+      expect(validator.getErrors(Object.assign({}, validMetric, { name: 'a'.repeat(256) })))
+        .to.deep.equal(['name must be a string of 1 to 255 characters']);
+      done();
+    });
+
+    it('should report invalid dimensions', function(done) {
+      expect(validator.getErrors(Object.assign({}, validMetric, { dimensions: createDimensions(31) })))
+        .to.deep.equal(['at most 30 dimensions are allowed']);
+      expect(validator.getErrors(Object.assign({}, validMetric, { dimensions: { host: '' } })))
+        .to.deep.equal(['dimension host value must be a string of 1 to 1024 characters']);
+      expect(validator.getErrors(Object.assign({}, validMetric, { dimensions: { host: 'a'.repeat(1025) } })))
+        .to.deep.equal(['dimension host value must be a string of 1 to 1024 characters']);
+      done();
+    });
+
+    it('should report invalid values', function(done) {
+      [NaN, Infinity, -Infinity, 2 ** 361, 2 ** -361, '1'].forEach(value => {
+        expect(validator.getErrors(Object.assign({}, validMetric, { value: [1, value] })))
+          .to.deep.equal(['values must be finite numbers between -2^360 and 2^360']);
+      });
+      expect(validator.getErrors(Object.assign({}, validMetric, { value: [] })))
+        .to.deep.equal(['value is missing']);
+      done();
+    });
+
+    it('should report unknown units', function(done) {
+      expect(validator.getErrors(Object.assign({}, validMetric, { unit: 'Millis' })))
+        .to.deep.equal(['unknown unit Millis']);
+      done();
+    });
+
+    it('should report invalid timestamps', function(done) {
+      [new Date('not a date'), 'not a date'].forEach(timestamp => {
+        expect(validator.getErrors(Object.assign({}, validMetric, { timestamp })))
+          .to.deep.equal(['timestamp must be a valid date']);
+      });
+      expect(validator.getErrors(Object.assign({}, validMetric, { timestamp: new Date() }))).to.deep.equal([]);
+      done();
+    });
+  });
+
+  describe('#sanitize', function() {
+    const validator = new MetricValidator();
+
+    it('should fix metrics up to CloudWatch limits', function(done) {
+      const sanitizedMetric = validator.sanitize({
+        name: 'a'.repeat(300),
+        dimensions: Object.assign(createDimensions(31), { dimension0: '', dimension1: 'b'.repeat(1100) }),
+        value: [1, NaN, Infinity, 2 ** 400, 2 ** -400],
+        unit: 'Millis',
+        timestamp: new Date('not a date')
+      });
+
+      expect(sanitizedMetric.name).to.equal('a'.repeat(255));
+      expect(Object.keys(sanitizedMetric.dimensions)).to.have.lengthOf(30);
+      expect(sanitizedMetric.dimensions).not.to.have.property('dimension0');
+      expect(sanitizedMetric.dimensions.dimension1).to.equal('b'.repeat(1024));
+      expect(sanitizedMetric.value).to.deep.equal([1, 2 ** 360, 0]);
+      expect(sanitizedMetric).not.to.have.property('unit');
+      expect(sanitizedMetric).not.to.have.property('timestamp');
+      done();
+    });
+
+    it('should return null when metric can not be fixed', function(done) {
+      expect(validator.sanitize({ name: '', value: 1 })).to.equal(null);
+      expect(validator.sanitize({ name: 'count', value: NaN })).to.equal(null);
+      done();
+    });
+  });
+
+  describe('#validate', function() {
+    const invalidMetric = { name: 'count', value: NaN };
+
+    it('should drop and report invalid metrics', function(done) {
+      const validator = new MetricValidator({ logger: { warn: sinon.spy() }, onInvalid: sinon.spy() });
+
+      expect(validator.validate([validMetric, invalidMetric])).to.deep.equal([validMetric]);
+      sinon.assert.calledOnce(validator.logger.warn);
+      sinon.assert.calledWithExactly(validator.onInvalid, invalidMetric, [
+        'values must be finite numbers between -2^360 and 2^360'
+      ]);
+      done();
+    });
+
+    it('should sanitize invalid metrics', function(done) {
+      const validator = new MetricValidator({ policy: MetricValidator.POLICIES.SANITIZE, logger: { warn() {} } });
+
+      expect(validator.validate([validMetric, { name: 'count', value: [NaN, 1] }, invalidMetric]))
+        .to.deep.equal([validMetric, { name: 'count', dimensions: {}, value: [1] }]);
+      done();
+    });
+
+    it('should throw on invalid metrics', function(done) {
+      const validator = new MetricValidator({ policy: MetricValidator.POLICIES.THROW, logger: { warn() {} } });
+
+      expect(() => validator.validate([validMetric, invalidMetric]))
+        .to.throw(Error, 'invalid metrics: count')
+        .that.deep.includes({ code: 'InvalidMetric', validMetrics: [validMetric] });
+      done();
+    });
+  });
+});
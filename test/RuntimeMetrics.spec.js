@@ -0,0 +1,118 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+
+const { expect } = chai;
+
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricCollector = require('../lib/MetricCollector');
+const RuntimeMetrics = require('../lib/RuntimeMetrics');
+
+describe('RuntimeMetrics', function() {
+
+  let memoryDriver;
+  let metricCollector;
+
+  beforeEach(function() {
+    memoryDriver = new MemoryDriver();
+    metricCollector = new MetricCollector({
+      driver: memoryDriver,
+      defaultDimensions: { Service: 'users' }
+    });
+  });
+
+  describe('#constructor', function() {
+    it('should throw when collector is missing', function(done) {
+      expect(() => new RuntimeMetrics())
+        .to.throw(Error, 'collector must implement addMetrics');
+      done();
+    });
+  });
+
+  describe('#sample', function() {
+    it('should record memory and handle metrics with the default dimensions of the collector', function(done) {
+      new RuntimeMetrics(metricCollector, { dimensions: { Host: 'a' } }).sample();
+      memoryDriver.flushSync(metricCollector);
+
+      ['HeapUsed', 'HeapTotal', 'Rss', 'External'].forEach(name => {
+        const [metric] = memoryDriver.find(name, { Service: 'users', Host: 'a' });
+        expect(metric).to.include({ unit: MetricCollector.UNITS.BYTES });
+        expect(metric.value).to.be.above(0);
+      });
+      expect(memoryDriver.find('ActiveHandles')[0]).to.include({ unit: MetricCollector.UNITS.COUNT });
+      done();
+    });
+
+    it('should record event loop delay in milliseconds once started', function(done) {
+      const runtimeMetrics = new RuntimeMetrics(metricCollector).start();
+      runtimeMetrics._eventLoopDelay.disable();
+      runtimeMetrics._eventLoopDelay = {
+        mean: 2500000,
+        max: 10000000,
+        reset: sinon.spy(),
+        disable() {}
+      };
+
+      runtimeMetrics.sample().stop();
+      memoryDriver.flushSync(metricCollector);
+
+      expect(memoryDriver.find('EventLoopDelay')[0]).to.deep.include({
+        dimensions: { Service: 'users' },
+        value: [2.5],
+        unit: MetricCollector.UNITS.MILLIS
+      });
+      expect(memoryDriver.values('EventLoopDelayMax')).to.deep.equal([10]);
+      sinon.assert.calledOnce(runtimeMetrics._eventLoopDelay.reset);
+      done();
+    });
+  });
+
+  describe('#_recordGc', function() {
+    it('should record GC pauses by kind', function(done) {
+      new RuntimeMetrics(metricCollector)._recordGc([
+        { duration: 1.5, detail: { kind: 1 } },
+        { duration: 12, kind: 4 }
+      ]);
+      memoryDriver.flushSync(metricCollector);
+
+      expect(memoryDriver.values('GcPause', { GcKind: 'Minor' })).to.deep.equal([1.5]);
+      expect(memoryDriver.values('GcPause', { GcKind: 'Major' })).to.deep.equal([12]);
+      done();
+    });
+  });
+
+  describe('lifecycle', function() {
+    it('should sample on an interval that does not keep the process alive', function(done) {
+      const runtimeMetrics = new RuntimeMetrics(metricCollector, { interval: 1000 }).start();
+
+      expect(runtimeMetrics._timer.hasRef()).to.equal(false);
+      expect(runtimeMetrics.start()._timer).to.equal(runtimeMetrics._timer);
+      runtimeMetrics.stop();
+      expect(runtimeMetrics._timer).to.equal(null);
+      done();
+    });
+
+    it('should stop when the collector stops', function() {
+      const autoCollector = new MetricCollector({ driver: memoryDriver, auto: true });
+      const runtimeMetrics = new RuntimeMetrics(autoCollector).start();
+
+      return autoCollector.stop()
+        .then(() => {
+          expect(runtimeMetrics._timer).to.equal(null);
+          expect(autoCollector.listenerCount('stopped')).to.equal(0);
+        });
+    });
+
+    it('should be started and stopped by the collector when asked to', function() {
+      const runtimeCollector = new MetricCollector({ driver: memoryDriver, runtimeMetrics: { interval: 1000 } });
+
+      expect(runtimeCollector.runtimeMetrics.interval).to.equal(1000);
+      expect(runtimeCollector.runtimeMetrics._timer).to.not.equal(null);
+      return runtimeCollector.stop()
+        .then(() => {
+          expect(runtimeCollector.runtimeMetrics._timer).to.equal(null);
+        });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const dgram = require('dgram');
+const sinon = require('sinon');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const MetricCollector = require('../lib/MetricCollector');
+const StatsdDriver = require('../lib/StatsdDriver');
+
+const { METRIC_TYPES } = MetricCollector;
+
+describe('statsd-driver', function() {
+
+  let server;
+  let packets;
+  let statsdDriver;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function() {
+    packets = [];
+    server = dgram.createSocket('udp4');
+    server.on('message', packet => packets.push(packet.toString()));
+
+    return BPromise.fromCallback(callback => server.bind(0, '127.0.0.1', () => callback()))
+      .then(() => {
+        statsdDriver = new StatsdDriver({ port: server.address().port, logger: {} });
+      });
+  });
+
+  afterEach(function() {
+    this.sandbox.restore();
+    statsdDriver.close();
+    return BPromise.fromCallback(callback => server.close(() => callback()));
+  });
+
+  const createMetric = (name, type, value, dimensions = {}) => ({
+    name,
+    dimensions,
+    type,
+    value
+  });
+  const waitForPackets = count => BPromise.delay(5)
+    .then(() => (packets.length >= count ? packets : waitForPackets(count)))
+    .timeout(1000);
+
+  describe('#sendMetrics', function() {
+    it('should send metrics as DogStatsD lines with dimensions as tags', function() {
+      return expect(statsdDriver.sendMetrics([
+        createMetric('RequestCount', METRIC_TYPES.COUNTER, 3, { Operation: 'GetUser' }),
+        createMetric('QueueDepth', METRIC_TYPES.GAUGE, 42),
+        createMetric('Latency', METRIC_TYPES.TIMER, [10, 20.5], { Operation: 'GetUser' }),
+        createMetric('PayloadSize', METRIC_TYPES.HISTOGRAM, [512])
+      ]))
+        .to.eventually.deep.equal({ batchCount: 1, datumCount: 4 })
+        .then(() => waitForPackets(1))
+        .then(() => {
+          expect(packets).to.deep.equal([[
+            'RequestCount:3|c|#Operation:GetUser',
+            'QueueDepth:42|g',
+            'Latency:10|ms|#Operation:GetUser',
+            'Latency:20.5|ms|#Operation:GetUser',
+            'PayloadSize:512|h'
+          ].join('\n')]);
+        });
+    });
+
+    it('should set negative gauges to 0 first so that they are not read as a change', function() {
+      statsdDriver.maxPacketSize = 30;
+
+      return statsdDriver.sendMetrics([
+        createMetric('Balance', METRIC_TYPES.GAUGE, -5, { Account: 'a' }),
+        createMetric('Temperature', METRIC_TYPES.GAUGE, -1.5)
+      ])
+        .then(() => waitForPackets(2))
+        .then(() => {
+          expect(packets.sort()).to.deep.equal([
+            'Balance:0|g|#Account:a\nBalance:-5|g|#Account:a',
+            'Temperature:0|g\nTemperature:-1.5|g'
+          ]);
+        });
+    });
+
+    it('should send timers in milliseconds', function() {
+      return statsdDriver.sendMetrics([
+        Object.assign(createMetric('Latency', METRIC_TYPES.TIMER, [1.5]), { unit: 'Seconds' }),
+        Object.assign(createMetric('DbLatency', METRIC_TYPES.TIMER, [250]), { unit: 'Microseconds' }),
+        Object.assign(createMetric('PayloadSize', METRIC_TYPES.HISTOGRAM, [2]), { unit: 'Kilobytes' })
+      ])
+        .then(() => waitForPackets(1))
+        .then(() => {
+          expect(packets).to.deep.equal(['Latency:1500|ms\nDbLatency:0.25|ms\nPayloadSize:2|h']);
+        });
+    });
+
+    it('should append dimension values to the name for plain StatsD', function() {
+      statsdDriver.dogstatsd = false;
+      statsdDriver.prefix = 'app.';
+
+      return statsdDriver.sendMetrics([
+        { name: 'Latency', dimensions: { Stage: 'prod', Operation: 'Get User' }, value: [10] },
+        Object.assign(createMetric('FlushDuration', METRIC_TYPES.TIMER, [5]), { namespace: 'Metricologist' })
+      ])
+        .then(() => waitForPackets(1))
+        .then(() => {
+          expect(packets).to.deep.equal(['app.Latency.Get_User.prod:10|ms\napp.Metricologist.FlushDuration:5|ms']);
+        });
+    });
+
+    it('should sanitize names and tags', function() {
+      return statsdDriver.sendMetrics({ name: 'Request:Count', dimensions: { 'Op|Name': 'a,b#c' }, value: 1 })
+        .then(() => waitForPackets(1))
+        .then(() => {
+          expect(packets).to.deep.equal(['Request_Count:1|h|#Op_Name:a_b_c']);
+        });
+    });
+
+    it('should split lines into packets of at most maxPacketSize bytes', function() {
+      statsdDriver.maxPacketSize = 40;
+
+      return expect(statsdDriver.sendMetrics([
+        { name: 'Latency', type: METRIC_TYPES.TIMER, value: [1, 2, 3] },
+        { name: 'AVeryLongMetricNameThatDoesNotFitInAPacket', type: METRIC_TYPES.COUNTER, value: 1 }
+      ]))
+        .to.eventually.deep.equal({ batchCount: 2, datumCount: 2 })
+        .then(() => waitForPackets(2))
+        .then(() => {
+          expect(packets.sort()).to.deep.equal([
+            'AVeryLongMetricNameThatDoesNotFitInAPacket:1|c',
+            'Latency:1|ms\nLatency:2|ms\nLatency:3|ms'
+          ]);
+        });
+    });
+
+    it('should reject with the metrics of the packets which were not sent', function() {
+      statsdDriver.maxPacketSize = 10;
+      const sendStub = this.sandbox.stub(statsdDriver, '_sendPacket');
+      sendStub.onFirstCall().resolves();
+      sendStub.onSecondCall().rejects(new Error('send failed'));
+      const rawMetrics = [
+        { name: 'First', type: METRIC_TYPES.COUNTER, value: 1 },
+        { name: 'Second', type: METRIC_TYPES.COUNTER, value: 2 },
+        { name: 'Third', type: METRIC_TYPES.COUNTER, value: 3 }
+      ];
+
+      return expect(statsdDriver.sendMetrics(rawMetrics))
+        .to.be.rejectedWith(Error, 'send failed')
+        .then(err => {
+          expect(err.failedMetrics).to.deep.equal(rawMetrics.slice(1));
+          sinon.assert.calledTwice(sendStub);
+        });
+    });
+  });
+
+  describe('#close', function() {
+    it('should close the socket', function() {
+      return statsdDriver.sendMetrics({ name: 'RequestCount', type: METRIC_TYPES.COUNTER, value: 1 })
+        .then(() => {
+          const { socket } = statsdDriver;
+          const closeSpy = this.sandbox.spy(socket, 'close');
+          expect(statsdDriver.close()).to.equal(statsdDriver);
+          sinon.assert.calledOnce(closeSpy);
+          expect(statsdDriver.socket).to.equal(null);
+        });
+    });
+  });
+});
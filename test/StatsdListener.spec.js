@@ -0,0 +1,187 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const dgram = require('dgram');
+const sinon = require('sinon');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricCollector = require('../lib/MetricCollector');
+const StatsdDriver = require('../lib/StatsdDriver');
+const StatsdListener = require('../lib/StatsdListener');
+
+describe('statsd-listener', function() {
+
+  let memoryDriver;
+  let collector;
+  let logger;
+  let statsdListener;
+
+  before(function(done) {
+    this.sandbox = sinon.sandbox.create();
+    done();
+  });
+
+  beforeEach(function(done) {
+    memoryDriver = new MemoryDriver();
+    collector = new MetricCollector({ driver: memoryDriver });
+    logger = { error: this.sandbox.spy(), warn: this.sandbox.spy() };
+    statsdListener = new StatsdListener(collector, { port: 0, logger });
+    done();
+  });
+
+  afterEach(function() {
+    this.sandbox.restore();
+    return statsdListener.stop();
+  });
+
+  const createMetric = (name, type, value, dimensions = {}) => ({
+    name,
+    dimensions,
+    type,
+    value
+  });
+  const getRecorded = () => memoryDriver.flushSync(collector).metrics
+    .map(rawMetric => createMetric(rawMetric.name, rawMetric.type, rawMetric.value, rawMetric.dimensions));
+
+  describe('#constructor', function() {
+    it('should throw when the collector can not record metrics', function(done) {
+      expect(() => new StatsdListener({}))
+        .to.throw(Error, 'collector must implement increment');
+      done();
+    });
+  });
+
+  describe('#handlePacket', function() {
+    it('should record every metric type', function(done) {
+      statsdListener.handlePacket([
+        'RequestCount:2|c|@0.5|#Operation:GetUser',
+        'QueueDepth:42|g',
+        'Latency:10:20|ms|#Operation:GetUser,canary',
+        'PayloadSize:512|h',
+        'ResponseSize:256|d'
+      ].join('\n'));
+
+      expect(getRecorded()).to.deep.equal([
+        createMetric('RequestCount', 'counter', 4, { Operation: 'GetUser' }),
+        createMetric('QueueDepth', 'gauge', 42),
+        createMetric('Latency', 'timer', [10, 20], { Operation: 'GetUser' }),
+        createMetric('PayloadSize', 'histogram', [512]),
+        createMetric('ResponseSize', 'histogram', [256])
+      ]);
+      done();
+    });
+
+    it('should apply signed gauge values as changes of the last gauge value', function(done) {
+      statsdListener.handlePacket('QueueDepth:10|g\nQueueDepth:+3|g\nQueueDepth:-5|g|#Queue:jobs');
+      expect(memoryDriver.flushSync(collector).values('QueueDepth')).to.deep.equal([13, -5]);
+
+      memoryDriver.reset();
+      statsdListener.handlePacket('QueueDepth:-3|g\nQueueDepth:0|g|#Queue:jobs\nQueueDepth:-5|g|#Queue:jobs');
+      expect(memoryDriver.flushSync(collector).values('QueueDepth')).to.deep.equal([10, -5]);
+      done();
+    });
+
+    it('should keep the values of at most maxGauges gauges', function(done) {
+      statsdListener.maxGauges = 1;
+
+      statsdListener.handlePacket('QueueDepth:10|g\nActiveUsers:5|g\nQueueDepth:+3|g');
+
+      expect(memoryDriver.flushSync(collector).values('QueueDepth')).to.deep.equal([3]);
+      done();
+    });
+
+    it('should keep colons in tag values', function(done) {
+      statsdListener.handlePacket('RequestCount:1|c|#Url:http://example.com');
+
+      expect(memoryDriver.flushSync(collector).find('RequestCount', { Url: 'http://example.com' }))
+        .to.have.lengthOf(1);
+      done();
+    });
+
+    it('should ignore invalid lines and unsupported types', function(done) {
+      statsdListener.handlePacket('RequestCount|c\nLatency:abc|ms\nErrors:1\nErrors:1|c|@2\nUsers:42|s\n\n');
+
+      expect(getRecorded()).to.deep.equal([]);
+      sinon.assert.callCount(logger.warn, 5);
+      sinon.assert.calledWithMatch(logger.warn, { line: 'RequestCount|c' }, 'ignoring invalid statsd line');
+      sinon.assert.calledWithMatch(logger.warn, { type: 's' }, 'ignoring unsupported statsd metric type');
+      done();
+    });
+  });
+
+  describe('#start', function() {
+    it('should record packets received over UDP', function() {
+      const client = dgram.createSocket('udp4');
+
+      return statsdListener.start()
+        .then(() => {
+          const packet = Buffer.from('RequestCount:1|c\nRequestCount:2|c');
+          return BPromise.fromCallback(callback => client.send(packet, statsdListener.address().port, '127.0.0.1', callback));
+        })
+        .then(() => {
+          const waitForMetrics = () => BPromise.delay(5)
+            .then(() => (collector.getMetrics().length > 0 ? null : waitForMetrics()));
+          return waitForMetrics().timeout(1000);
+        })
+        .then(() => {
+          expect(memoryDriver.flushSync(collector).sum('RequestCount')).to.equal(3);
+        })
+        .finally(() => client.close());
+    });
+
+    it('should reject when the port is in use', function() {
+      return statsdListener.start()
+        .then(() => {
+          const otherListener = new StatsdListener(collector, { port: statsdListener.address().port, logger });
+          return expect(otherListener.start()).to.be.rejectedWith(Error, 'EADDRINUSE')
+            .then(() => {
+              expect(otherListener.address()).to.equal(null);
+              otherListener.port = 0;
+              return otherListener.start();
+            })
+            .then(() => {
+              expect(otherListener.address().port).to.be.above(0);
+            })
+            .finally(() => otherListener.stop());
+        });
+    });
+
+    it('should bridge metrics sent by a StatsdDriver', function() {
+      const workerCollector = new MetricCollector({ driver: new StatsdDriver({ port: 0, logger: {} }) });
+
+      return statsdListener.start()
+        .then(() => {
+          workerCollector.drivers[0].port = statsdListener.address().port;
+          return workerCollector
+            .increment('RequestCount', 2, { Operation: 'GetUser' })
+            .timing('Latency', 12, { Operation: 'GetUser' })
+            .flush();
+        })
+        .then(() => {
+          const waitForMetrics = () => BPromise.delay(5)
+            .then(() => (collector.getMetrics().length >= 2 ? null : waitForMetrics()));
+          return waitForMetrics().timeout(1000);
+        })
+        .then(() => {
+          memoryDriver.flushSync(collector);
+          expect(memoryDriver.sum('RequestCount', { Operation: 'GetUser' })).to.equal(2);
+          expect(memoryDriver.values('Latency', { Operation: 'GetUser' })).to.deep.equal([12]);
+        })
+        .finally(() => workerCollector.drivers[0].close());
+    });
+  });
+
+  describe('#stop', function() {
+    it('should close the socket', function() {
+      return statsdListener.start()
+        .then(() => statsdListener.stop())
+        .then(() => {
+          expect(statsdListener.address()).to.equal(null);
+        });
+    });
+  });
+});
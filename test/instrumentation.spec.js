@@ -0,0 +1,226 @@
+'use strict';
+
+const AWS = require('aws-sdk');
+const BPromise = require('bluebird');
+const chai = require('chai');
+const EventEmitter = require('events');
+const http = require('http');
+
+const { expect } = chai;
+
+const CloudWatchDriver = require('../lib/CloudWatchDriver');
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricCollector = require('../lib/MetricCollector');
+const instrumentation = require('../lib/instrumentation');
+
+describe('instrumentation', function() {
+
+  let memoryDriver;
+  let metricCollector;
+
+  beforeEach(function() {
+    memoryDriver = new MemoryDriver();
+    metricCollector = new MetricCollector({ driver: memoryDriver });
+  });
+
+  describe('#instrumentHttp', function() {
+    let server;
+    let uninstrument;
+
+    before(function() {
+      server = http.createServer((req, res) => {
+        res.statusCode = req.url === '/fail' ? 502 : 200;
+        res.end(req.url === '/body' ? 'hello world body' : undefined);
+      });
+      return BPromise.fromCallback(callback => server.listen(0, '127.0.0.1', callback));
+    });
+
+    afterEach(function(done) {
+      if (uninstrument) {
+        uninstrument();
+        uninstrument = null;
+      }
+      done();
+    });
+
+    after(function() {
+      return BPromise.fromCallback(callback => server.close(callback));
+    });
+
+    const get = (path, port = server.address().port) => new BPromise(resolve => {
+      http.get({ host: '127.0.0.1', port, path }, res => {
+        res.resume();
+        res.on('end', resolve);
+      }).on('error', resolve);
+    });
+
+    it('should throw when collector is missing', function(done) {
+      expect(() => instrumentation.instrumentHttp())
+        .to.throw(Error, 'collector must implement startTimer');
+      done();
+    });
+
+    it('should record outgoing requests per host', function() {
+      uninstrument = instrumentation.instrumentHttp(metricCollector, { dimensions: { Service: 'users' } });
+
+      return get('/')
+        .then(() => get('/fail'))
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('OutboundRequestCount', { Service: 'users', Host: '127.0.0.1', StatusClass: '2xx' }))
+            .to.equal(1);
+          expect(memoryDriver.count('OutboundLatency', { Host: '127.0.0.1', StatusClass: '5xx' })).to.equal(1);
+          expect(memoryDriver.find('OutboundLatency')[0]).to.include({ unit: MetricCollector.UNITS.MILLIS });
+          expect(memoryDriver.sum('OutboundErrors', { Host: '127.0.0.1' })).to.equal(1);
+        });
+    });
+
+    it('should record connection errors', function() {
+      uninstrument = instrumentation.instrumentHttp(metricCollector);
+      const { port } = server.address();
+
+      return BPromise.fromCallback(callback => server.close(callback))
+        .then(() => get('/', port))
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('OutboundErrors', { Host: '127.0.0.1' })).to.equal(1);
+          expect(memoryDriver.sum('OutboundRequestCount', { StatusClass: 'Error' })).to.equal(1);
+        })
+        .finally(() => BPromise.fromCallback(callback => server.listen(port, '127.0.0.1', callback)));
+    });
+
+    it('should not keep the socket of responses nobody reads', function() {
+      uninstrument = instrumentation.instrumentHttp(metricCollector);
+      const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+      const request = path => new BPromise((resolve, reject) => {
+        const req = http.get({
+          host: '127.0.0.1',
+          port: server.address().port,
+          path,
+          agent
+        });
+        req.on('error', reject);
+        req.on('close', resolve);
+      });
+
+      return BPromise.all([request('/'), request('/')])
+        .timeout(1000)
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('OutboundRequestCount', { StatusClass: '2xx' })).to.equal(2);
+        })
+        .finally(() => agent.destroy());
+    });
+
+    it('should leave the body to callers reading it later', function() {
+      uninstrument = instrumentation.instrumentHttp(metricCollector);
+
+      return new BPromise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: '/body' }, res => {
+          setTimeout(() => {
+            let body = '';
+            res.on('data', chunk => {
+              body += chunk;
+            });
+            res.on('end', () => resolve(body));
+          }, 20);
+        }).on('error', reject);
+      })
+        .timeout(1000)
+        .then(body => {
+          expect(body).to.equal('hello world body');
+        });
+    });
+
+    it('should skip excluded hosts and the hosts the collector sends metrics to', function() {
+      const cloudWatchCollector = new MetricCollector({
+        driver: [
+          memoryDriver,
+          new CloudWatchDriver({
+            serviceNamespace: 'test',
+            client: { endpoint: { hostname: 'monitoring.us-east-1.amazonaws.com' } }
+          })
+        ]
+      });
+      uninstrument = instrumentation.instrumentHttp(cloudWatchCollector, { excludeHosts: ['127.0.0.1'] });
+
+      const req = http.request({ host: 'monitoring.us-east-1.amazonaws.com', path: '/' });
+      req.on('error', () => {});
+      req.abort();
+
+      return get('/')
+        .then(() => {
+          expect(cloudWatchCollector.getMetrics()).to.deep.equal([]);
+        });
+    });
+
+    it('should restore the original functions', function(done) {
+      const { request, get: originalGet } = http;
+
+      instrumentation.instrumentHttp(metricCollector)();
+
+      expect(http.request).to.equal(request);
+      expect(http.get).to.equal(originalGet);
+      done();
+    });
+  });
+
+  describe('#instrumentAwsSdk', function() {
+    const createAws = () => ({ events: new EventEmitter() });
+    const createResponse = (service, operation) => ({
+      request: {
+        service: { api: { serviceId: service } },
+        operation
+      },
+      retryCount: 0,
+      maxRetries: 1
+    });
+
+    it('should throw when the aws-sdk is missing', function(done) {
+      expect(() => instrumentation.instrumentAwsSdk(metricCollector, {}))
+        .to.throw(Error, 'AWS must be the aws-sdk v2 module');
+      done();
+    });
+
+    it('should record latency, retries and errors per service and operation', function(done) {
+      const aws = createAws();
+      const uninstrument = instrumentation.instrumentAwsSdk(metricCollector, aws);
+      const getItem = createResponse('DynamoDB', 'getItem');
+      const putItem = createResponse('DynamoDB', 'putItem');
+
+      aws.events.emit('send', getItem);
+      aws.events.emit('retry', Object.assign({}, getItem, { error: { retryable: true } }));
+      aws.events.emit('send', getItem);
+      aws.events.emit('retry', Object.assign({}, getItem, { error: { retryable: true }, retryCount: 1 }));
+      aws.events.emit('complete', getItem);
+      aws.events.emit('send', putItem);
+      aws.events.emit('complete', Object.assign({}, putItem, { error: new Error('ValidationException') }));
+      uninstrument();
+      memoryDriver.flushSync(metricCollector);
+
+      const getItemDimensions = { Service: 'DynamoDB', Operation: 'getItem' };
+      expect(memoryDriver.count('AwsLatency', getItemDimensions)).to.equal(1);
+      expect(memoryDriver.sum('AwsRequestCount', getItemDimensions)).to.equal(1);
+      expect(memoryDriver.sum('AwsRetries', getItemDimensions)).to.equal(1);
+      expect(memoryDriver.sum('AwsErrors', getItemDimensions)).to.equal(0);
+      expect(memoryDriver.sum('AwsErrors', { Operation: 'putItem' })).to.equal(1);
+      expect(aws.events.listenerCount('send')).to.equal(0);
+      done();
+    });
+
+    it('should not measure the putMetricData calls of the collector', function(done) {
+      const client = new AWS.CloudWatch({ region: 'us-east-1' });
+      const cloudWatchCollector = new MetricCollector({ serviceNamespace: 'test', client });
+      const aws = createAws();
+      const uninstrument = instrumentation.instrumentAwsSdk(cloudWatchCollector, aws);
+      const response = { request: { service: client, operation: 'putMetricData' } };
+
+      aws.events.emit('send', response);
+      aws.events.emit('complete', response);
+      uninstrument();
+
+      expect(cloudWatchCollector.getMetrics()).to.deep.equal([]);
+      done();
+    });
+  });
+});
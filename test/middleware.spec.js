@@ -0,0 +1,175 @@
+'use strict';
+
+const BPromise = require('bluebird');
+const chai = require('chai');
+const EventEmitter = require('events');
+const http = require('http');
+const sinon = require('sinon');
+
+const { expect } = chai;
+chai.use(require('chai-as-promised'));
+
+const MemoryDriver = require('../lib/MemoryDriver');
+const MetricCollector = require('../lib/MetricCollector');
+const middleware = require('../lib/middleware');
+
+describe('middleware', function() {
+
+  let memoryDriver;
+  let metricCollector;
+
+  beforeEach(function() {
+    memoryDriver = new MemoryDriver();
+    metricCollector = new MetricCollector({ driver: memoryDriver });
+  });
+
+  const createResponse = statusCode => Object.assign(new EventEmitter(), { statusCode });
+
+  describe('#createExpressMiddleware', function() {
+    it('should throw when collector is missing', function(done) {
+      expect(() => middleware.createExpressMiddleware())
+        .to.throw(Error, 'collector must implement startTimer');
+      done();
+    });
+
+    it('should record requests by matched route template', function(done) {
+      const handle = middleware.createExpressMiddleware(metricCollector, { dimensions: { Service: 'users' } });
+      const req = { method: 'GET', url: '/users/42', baseUrl: '/users' };
+      const res = createResponse(200);
+
+      handle(req, res, () => {
+        req.route = { path: '/:id' };
+      });
+      res.emit('finish');
+      res.emit('close');
+      memoryDriver.flushSync(metricCollector);
+
+      const requestDimensions = {
+        Service: 'users',
+        Route: '/users/:id',
+        Method: 'GET',
+        StatusClass: '2xx'
+      };
+      expect(memoryDriver.sum('RequestCount', requestDimensions)).to.equal(1);
+      expect(memoryDriver.find('Latency', requestDimensions)[0]).to.include({ unit: MetricCollector.UNITS.MILLIS });
+      expect(memoryDriver.count('Latency')).to.equal(1);
+      expect(memoryDriver.find('4xx')[0].dimensions).to.deep.equal({ Service: 'users', Route: '/users/:id', Method: 'GET' });
+      expect(memoryDriver.sum('4xx')).to.equal(0);
+      expect(memoryDriver.sum('5xx')).to.equal(0);
+      done();
+    });
+
+    it('should record unmatched requests without their URL', function(done) {
+      const handle = middleware.createExpressMiddleware(metricCollector);
+      const res = createResponse(404);
+
+      handle({ method: 'GET', url: '/favicon.ico' }, res, () => {});
+      res.emit('finish');
+      memoryDriver.flushSync(metricCollector);
+
+      expect(memoryDriver.sum('4xx', { Route: middleware.UNMATCHED_ROUTE, Method: 'GET' })).to.equal(1);
+      expect(memoryDriver.sum('RequestCount', { StatusClass: '4xx' })).to.equal(1);
+      done();
+    });
+  });
+
+  describe('error rates', function() {
+    it('should send one error sample per request', function() {
+      const putMetricDataStub = sinon.stub().returns({ promise: () => BPromise.resolve() });
+      const cloudWatchCollector = new MetricCollector({
+        serviceNamespace: 'test',
+        client: { putMetricData: putMetricDataStub }
+      });
+      const handle = middleware.createExpressMiddleware(cloudWatchCollector);
+
+      [200, 200, 404, 500].forEach(statusCode => {
+        const res = createResponse(statusCode);
+        handle({ method: 'GET', url: '/' }, res, () => {});
+        res.emit('finish');
+      });
+
+      return cloudWatchCollector.flush()
+        .then(() => {
+          const datums = putMetricDataStub.firstCall.args[0].MetricData;
+          const statisticValues = {
+            SampleCount: 4,
+            Sum: 1,
+            Minimum: 0,
+            Maximum: 1
+          };
+          expect(datums.find(datum => datum.MetricName === '5xx').StatisticValues).to.deep.equal(statisticValues);
+          expect(datums.find(datum => datum.MetricName === '4xx').StatisticValues).to.deep.equal(statisticValues);
+        });
+    });
+  });
+
+  describe('#createKoaMiddleware', function() {
+    it('should record requests by matched route template', function() {
+      const handle = middleware.createKoaMiddleware(metricCollector);
+      const ctx = { method: 'POST', status: 404 };
+
+      return handle(ctx, () => {
+        ctx._matchedRoute = '/users';
+        ctx.status = 201;
+        return BPromise.resolve();
+      })
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('RequestCount', { Route: '/users', Method: 'POST', StatusClass: '2xx' })).to.equal(1);
+        });
+    });
+
+    it('should record failed requests as server errors and rethrow', function() {
+      const handle = middleware.createKoaMiddleware(metricCollector);
+      const ctx = { method: 'GET', status: 404, routerPath: '/users/:id' };
+
+      return expect(handle(ctx, () => {
+        throw new Error('database is down');
+      }))
+        .to.be.rejectedWith(Error, 'database is down')
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('5xx', { Route: '/users/:id' })).to.equal(1);
+          expect(memoryDriver.count('Latency', { StatusClass: '5xx' })).to.equal(1);
+        });
+    });
+
+    it('should use the status of http errors', function() {
+      const handle = middleware.createKoaMiddleware(metricCollector);
+
+      return expect(handle({ method: 'GET' }, () => BPromise.reject(Object.assign(new Error('not allowed'), { status: 403 }))))
+        .to.be.rejected
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('4xx')).to.equal(1);
+        });
+    });
+  });
+
+  describe('#wrapRequestListener', function() {
+    it('should record requests of a plain http server', function() {
+      const server = http.createServer(middleware.wrapRequestListener(
+        metricCollector,
+        (req, res) => {
+          res.statusCode = 503;
+          res.end();
+        },
+        { getRoute: req => (req.url.startsWith('/health') ? '/health' : null) }
+      ));
+
+      return BPromise.fromCallback(callback => server.listen(0, '127.0.0.1', callback))
+        .then(() => new BPromise((resolve, reject) => {
+          http.get({ host: '127.0.0.1', port: server.address().port, path: '/health?verbose=1' }, res => {
+            res.resume();
+            res.on('end', resolve);
+          }).on('error', reject);
+        }))
+        .then(() => {
+          memoryDriver.flushSync(metricCollector);
+          expect(memoryDriver.sum('5xx', { Route: '/health', Method: 'GET' })).to.equal(1);
+          expect(memoryDriver.sum('RequestCount', { StatusClass: '5xx' })).to.equal(1);
+        })
+        .finally(() => BPromise.fromCallback(callback => server.close(callback)));
+    });
+  });
+});
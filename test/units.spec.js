@@ -0,0 +1,84 @@
+'use strict';
+
+const chai = require('chai');
+
+const { expect } = chai;
+
+const units = require('../lib/units');
+
+describe('units', function() {
+
+  const { INPUT_UNITS, UNITS } = units;
+
+  describe('#STANDARD_UNITS', function() {
+    it('should list every CloudWatch standard unit', function(done) {
+      expect(units.STANDARD_UNITS)
+        .to.have.lengthOf(27)
+        .and.to.include.members([
+          'Bytes/Second',
+          'Count/Second',
+          'Gigabits',
+          'Microseconds',
+          'None',
+          'Percent',
+          'Terabytes'
+        ]);
+      expect(units.STANDARD_UNITS).to.not.include(INPUT_UNITS.NANOS);
+      done();
+    });
+  });
+
+  describe('#canConvert', function() {
+    it('should allow conversions within a unit family', function(done) {
+      expect(units.canConvert(INPUT_UNITS.NANOS, UNITS.SECONDS)).to.equal(true);
+      expect(units.canConvert(UNITS.BITS, UNITS.MEGABYTES)).to.equal(true);
+      expect(units.canConvert(UNITS.KILOBYTES_PER_SECOND, UNITS.GIGABITS_PER_SECOND)).to.equal(true);
+      expect(units.canConvert(UNITS.COUNT, UNITS.COUNT)).to.equal(true);
+      done();
+    });
+
+    it('should refuse conversions across unit families', function(done) {
+      expect(units.canConvert(UNITS.MILLIS, UNITS.COUNT)).to.equal(false);
+      expect(units.canConvert(UNITS.BYTES, UNITS.BYTES_PER_SECOND)).to.equal(false);
+      expect(units.canConvert(UNITS.COUNT, UNITS.COUNT_PER_SECOND)).to.equal(false);
+      expect(units.canConvert('Furlongs', UNITS.SECONDS)).to.equal(false);
+      done();
+    });
+  });
+
+  describe('#convert', function() {
+    it('should convert time units', function(done) {
+      expect(units.convert(1500000, INPUT_UNITS.NANOS, UNITS.MILLIS)).to.equal(1.5);
+      expect(units.convert(2, UNITS.SECONDS, UNITS.MILLIS)).to.equal(2000);
+      expect(units.convert(250, UNITS.MICROS, UNITS.MILLIS)).to.equal(0.25);
+      done();
+    });
+
+    it('should convert data units', function(done) {
+      expect(units.convert(2, UNITS.KILOBYTES, UNITS.BYTES)).to.equal(2048);
+      expect(units.convert(3, UNITS.MEGABITS, UNITS.KILOBITS)).to.equal(3000);
+      expect(units.convert(1, UNITS.BYTES, UNITS.BITS)).to.equal(8);
+      expect(units.convert(16, UNITS.BITS_PER_SECOND, UNITS.BYTES_PER_SECOND)).to.equal(2);
+      done();
+    });
+
+    it('should return the value as is for the same unit', function(done) {
+      expect(units.convert(42, UNITS.PERCENT, UNITS.PERCENT)).to.equal(42);
+      done();
+    });
+
+    it('should throw for units of different families', function(done) {
+      expect(() => units.convert(1, UNITS.SECONDS, UNITS.BYTES))
+        .to.throw(Error, 'cannot convert Seconds to Bytes');
+      done();
+    });
+  });
+
+  describe('#getPublishedUnit', function() {
+    it('should publish input units in a standard unit', function(done) {
+      expect(units.getPublishedUnit(INPUT_UNITS.NANOS)).to.equal(UNITS.MICROS);
+      expect(units.getPublishedUnit(UNITS.MILLIS)).to.equal(UNITS.MILLIS);
+      done();
+    });
+  });
+});